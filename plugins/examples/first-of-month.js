@@ -0,0 +1,26 @@
+"use strict";
+
+// First payment to a recipient in the current calendar month, e.g. a new
+// monthly payout that hasn't been checked yet. Copy into plugins/ to enable.
+export default {
+  name: "first-of-month",
+  description: "First ticket to the recipient this month",
+  weight: 0.1,
+  async compute(ticket, context) {
+    const address = ticket.recipient?.address;
+    if (!address || !context.ticketStorage) return null;
+
+    const now = new Date(context.now);
+    const monthStart = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+    const { tickets } = await context.ticketStorage.searchTicketsPage({
+      recipient: address,
+      startTime: monthStart,
+      sortBy: "createdAt",
+      order: "asc",
+      limit: 2,
+    });
+
+    const earlier = tickets.filter((other) => other.id !== ticket.id);
+    return earlier.length === 0 ? 0.6 : null;
+  },
+};
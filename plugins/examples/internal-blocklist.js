@@ -0,0 +1,19 @@
+"use strict";
+
+// Recipients the organization never pays without a second look. Copy into
+// plugins/ and fill in the list to enable.
+const BLOCKLIST = new Set(
+  [
+    // "0x..."
+  ].map((address) => address.toLowerCase())
+);
+
+export default {
+  name: "internal-blocklist",
+  description: "Recipient on the internal blocklist",
+  weight: 0.3,
+  compute(ticket) {
+    const address = ticket.recipient?.address?.toLowerCase();
+    return address && BLOCKLIST.has(address) ? 1.0 : null;
+  },
+};
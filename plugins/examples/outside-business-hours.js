@@ -0,0 +1,22 @@
+"use strict";
+
+// Tickets raised outside office hours (UTC, Monday-Friday 09:00-17:00) get
+// looked at later than usual, so they score higher. Copy into plugins/ and
+// adjust the hours to enable.
+const OPEN_HOUR = 9;
+const CLOSE_HOUR = 17;
+
+export default {
+  name: "outside-business-hours",
+  description: "Raised outside UTC business hours",
+  weight: 0.1,
+  compute(ticket, context) {
+    const at = new Date(ticket.createdAt || context.now);
+    const day = at.getUTCDay();
+    const hour = at.getUTCHours();
+
+    const weekend = day === 0 || day === 6;
+    if (!weekend && hour >= OPEN_HOUR && hour < CLOSE_HOUR) return null;
+    return 0.7;
+  },
+};
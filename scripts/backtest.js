@@ -0,0 +1,89 @@
+"use strict";
+
+import { readFile, writeFile } from "fs/promises";
+import { basename } from "path";
+import { FilePriceProvider } from "../src/price-provider.js";
+import { loadLabeledSet, runBacktest } from "../src/backtest.js";
+
+function readOptions(args, name) {
+  return args
+    .filter((arg) => arg.startsWith(`--${name}=`))
+    .map((arg) => arg.slice(name.length + 3));
+}
+
+function formatNumber(value, digits = 3) {
+  return value === null ? "n/a" : value.toFixed(digits);
+}
+
+// A profile file is a "scoring" section, or a config.json that has one
+async function loadProfile(file) {
+  const parsed = JSON.parse(await readFile(file, "utf-8"));
+  return { name: basename(file), scoring: parsed.scoring ?? parsed };
+}
+
+// Usage: node scripts/backtest.js [labeled.json ...] [--profile=file ...]
+//          [--k=5] [--llm=off|recorded] [--prices=file] [--out=file]
+// Without --profile the built-in defaults are compared with config.json;
+// without --prices, values come from the sample table in fixtures/
+async function backtest() {
+  const args = process.argv.slice(2);
+  const files = args.filter((arg) => !arg.startsWith("--"));
+  if (files.length === 0) {
+    files.push("./fixtures/backtest/labeled-tickets.json");
+  }
+
+  const profileFiles = readOptions(args, "profile");
+  const profiles =
+    profileFiles.length > 0
+      ? await Promise.all(profileFiles.map(loadProfile))
+      : [{ name: "defaults", scoring: {} }, await loadProfile("./config.json")];
+
+  const entries = [];
+  for (const file of files) entries.push(...(await loadLabeledSet(file)));
+
+  const [prices] = readOptions(args, "prices");
+  const report = await runBacktest(entries, profiles, {
+    k: Number(readOptions(args, "k")[0] || 5),
+    llm: readOptions(args, "llm")[0] || "off",
+    priceProvider: new FilePriceProvider(
+      prices || "./fixtures/sample-prices.json"
+    ),
+  });
+
+  const [out] = readOptions(args, "out");
+  if (out) {
+    await writeFile(out, JSON.stringify(report, null, 2) + "\n");
+  }
+
+  console.log(
+    `📊 Backtest over ${report.labeled} labeled tickets (${report.unlabeled} unlabeled skipped), LLM ${report.llm}`
+  );
+  for (const profile of report.profiles) {
+    console.log(`\n🎚️  ${profile.name} (${profile.profileVersion})`);
+    console.log(`  Rank correlation: ${formatNumber(profile.rankCorrelation)}`);
+    console.log(
+      `  Precision@${report.k}: ${formatNumber(profile.precisionAtK, 2)}`
+    );
+    console.log("  Factor       weight  applied  mean   contrib  rank corr");
+    for (const factor of profile.factors) {
+      console.log(
+        `  ${factor.factor.padEnd(12)} ${formatNumber(
+          factor.weight,
+          2
+        ).padStart(6)}  ${String(factor.applied).padStart(7)}  ${formatNumber(
+          factor.meanScore,
+          2
+        )}  ${formatNumber(factor.meanContribution).padStart(
+          7
+        )}  ${formatNumber(factor.rankCorrelation).padStart(9)}`
+      );
+    }
+  }
+
+  if (out) console.log(`\n💾 Full report written to ${out}`);
+}
+
+backtest().catch((error) => {
+  console.error("❌ Backtest failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+"use strict";
+
+import { TicketStorage } from "../src/ticket-storage.js";
+import { SafeRegistry } from "../src/safe-registry.js";
+import { buildTransactionBatch } from "../src/tx-builder-export.js";
+import Hypercore from "hypercore";
+import Hyperbee from "hyperbee";
+import { writeFile } from "fs/promises";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+function readOption(args, name) {
+  const arg = args.find((arg) => arg.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+// Usage: node scripts/export-batch.js <ticketId...> [--db=path]
+//        [--out=batch.json] [--bundle]
+async function exportBatch() {
+  const args = process.argv.slice(2);
+  const ticketIds = args.filter((arg) => !arg.startsWith("--"));
+  const bundle = args.includes("--bundle");
+  const dbPath = readOption(args, "db") || join(__dirname, "../db/rpc-server");
+  const outPath = readOption(args, "out") || "batch.json";
+
+  if (ticketIds.length === 0) {
+    throw new Error("At least one ticket ID is required");
+  }
+
+  console.log(`📦 Exporting ${ticketIds.length} tickets from ${dbPath}...`);
+
+  const hcore = new Hypercore(dbPath);
+  const hbee = new Hyperbee(hcore, {
+    keyEncoding: "utf-8",
+    valueEncoding: "binary",
+  });
+  await hbee.ready();
+
+  try {
+    const ticketStorage = new TicketStorage(hbee);
+    const safeRegistry = new SafeRegistry(hbee);
+
+    const tickets = [];
+    for (const ticketId of new Set(ticketIds)) {
+      const ticket = await ticketStorage.getTicket(ticketId);
+      if (!ticket) {
+        throw new Error(`Ticket ${ticketId} not found`);
+      }
+      tickets.push(ticket);
+    }
+
+    const safe = await safeRegistry.getSafe(
+      tickets[0].safeAddress,
+      tickets[0].chainId
+    );
+    const { batch, multiSend } = buildTransactionBatch(tickets, {
+      safe,
+      bundle,
+    });
+
+    await writeFile(outPath, JSON.stringify(batch, null, 2) + "\n");
+    console.log(
+      `✅ Wrote ${batch.transactions.length} transactions to ${outPath}`
+    );
+
+    if (multiSend) {
+      console.log(`🧺 MultiSend bundle at nonce ${multiSend.safeTx.nonce}:`);
+      console.log(JSON.stringify(multiSend, null, 2));
+    }
+  } finally {
+    await hbee.close();
+  }
+}
+
+exportBatch().catch((error) => {
+  console.error("❌ Batch export failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,53 @@
+"use strict";
+
+import { TicketStorage } from "../src/ticket-storage.js";
+import Hypercore from "hypercore";
+import Hyperbee from "hyperbee";
+import { writeFile } from "fs/promises";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Usage: node scripts/export-history.js [dbPath] [--out=history.json]
+// Operators fill in each ticket's "truePriority" before backtesting with it
+async function exportHistory() {
+  const args = process.argv.slice(2);
+  const outArg = args.find((arg) => arg.startsWith("--out="));
+  const out = outArg ? outArg.slice("--out=".length) : "./history.json";
+  const dbPath =
+    args.find((arg) => !arg.startsWith("--")) ||
+    join(__dirname, "../db/rpc-server");
+
+  const hcore = new Hypercore(dbPath);
+  const hbee = new Hyperbee(hcore, {
+    keyEncoding: "utf-8",
+    valueEncoding: "binary",
+  });
+  await hbee.ready();
+
+  const tickets = await new TicketStorage(hbee).getAllTickets();
+  await hbee.close();
+
+  await writeFile(
+    out,
+    JSON.stringify(
+      {
+        exportedAt: new Date().toISOString(),
+        tickets: tickets.map((ticket) => ({
+          ...ticket,
+          truePriority: ticket.truePriority ?? null,
+        })),
+      },
+      null,
+      2
+    ) + "\n"
+  );
+  console.log(`📤 Exported ${tickets.length} tickets from ${dbPath} to ${out}`);
+}
+
+exportHistory().catch((error) => {
+  console.error("❌ History export failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,65 @@
+"use strict";
+
+import { TriageServer } from "../src/server.js";
+import { readFile } from "fs/promises";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+function readOption(args, name) {
+  const arg = args.find((arg) => arg.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+// Usage: node scripts/import-safe-queue.js [file] [--chainId=1] [--db=path]
+async function importSafeQueue() {
+  const args = process.argv.slice(2);
+  const file =
+    args.find((arg) => !arg.startsWith("--")) ||
+    join(__dirname, "../fixtures/safe-service-queue.json");
+  const chainId = readOption(args, "chainId");
+  const dbPath = readOption(args, "db") || join(__dirname, "../db/rpc-server");
+
+  console.log(`📥 Importing Safe Transaction Service queue from ${file}...`);
+
+  const transactions = JSON.parse(await readFile(file, "utf-8"));
+
+  // Same triage pipeline as the server, without starting the network
+  const server = new TriageServer({ dbPath });
+  await server.initializeServices();
+
+  try {
+    const result = await server.handleImportSafeTransactions({
+      transactions,
+      chainId,
+    });
+
+    for (const entry of result.imported) {
+      console.log(
+        `  + ${entry.safeTxHash} -> ${
+          entry.ticketId
+        } (urgency ${entry.urgency.toFixed(2)})`
+      );
+    }
+    for (const entry of result.duplicates) {
+      console.log(`  = ${entry.safeTxHash} already ticket ${entry.ticketId}`);
+    }
+    for (const entry of result.skipped) {
+      console.log(`  - ${entry.safeTxHash}: ${entry.reason}`);
+    }
+
+    console.log(
+      `✅ Imported ${result.imported.length}, duplicates ${result.duplicates.length}, skipped ${result.skipped.length}`
+    );
+  } finally {
+    await server.stop();
+    await server.hbee.close();
+  }
+}
+
+importSafeQueue().catch((error) => {
+  console.error("❌ Import failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+"use strict";
+
+import { readFile, writeFile } from "fs/promises";
+import { dirname, extname, resolve } from "path";
+import { fileURLToPath } from "url";
+import {
+  DEFAULT_PRICE_CONFIG,
+  FilePriceProvider,
+} from "../src/price-provider.js";
+
+const CONFIG_FILE = fileURLToPath(new URL("../config.json", import.meta.url));
+
+function readOption(args, name) {
+  const arg = args.find((arg) => arg.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+// The table the server reads: prices.path in config.json, resolved against
+// the directory of config.json like the server does
+async function configuredTable() {
+  let config = {};
+  try {
+    config = JSON.parse(await readFile(CONFIG_FILE, "utf-8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+  return resolve(
+    dirname(CONFIG_FILE),
+    config.prices?.path || DEFAULT_PRICE_CONFIG.path
+  );
+}
+
+// Usage: node scripts/update-prices.js ETH=2600 BTC=67000 [--file=prices.json]
+async function updatePrices() {
+  const args = process.argv.slice(2);
+  const file = readOption(args, "file") || (await configuredTable());
+  const updates = args.filter((arg) => !arg.startsWith("--"));
+
+  if (updates.length === 0) {
+    throw new Error("At least one SYMBOL=price pair is required");
+  }
+  if (extname(file).toLowerCase() === ".csv") {
+    throw new Error("Only JSON price tables can be updated; edit CSV by hand");
+  }
+
+  let table = { prices: {} };
+  try {
+    table = JSON.parse(await readFile(file, "utf-8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  const updatedAt = new Date().toISOString();
+  for (const update of updates) {
+    const [symbol, price] = update.split("=");
+    const usd = Number(price);
+    if (!symbol || !Number.isFinite(usd) || usd <= 0) {
+      throw new Error(`Invalid price: ${update}`);
+    }
+    table.prices[symbol.toUpperCase()] = { usd, updatedAt };
+  }
+
+  // Refuse to write a table the server couldn't read back
+  new FilePriceProvider(file).parse(JSON.stringify(table));
+
+  await writeFile(file, JSON.stringify(table, null, 2) + "\n");
+  console.log(`💱 Updated ${updates.length} prices in ${file} at ${updatedAt}`);
+}
+
+updatePrices().catch((error) => {
+  console.error("❌ Price update failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+"use strict";
+
+import { TicketStorage } from "../src/ticket-storage.js";
+import Hypercore from "hypercore";
+import Hyperbee from "hyperbee";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Usage: node scripts/verify-indexes.js [dbPath] [--repair]
+async function verifyIndexes() {
+  const args = process.argv.slice(2);
+  const repair = args.includes("--repair");
+  const dbPath =
+    args.find((arg) => !arg.startsWith("--")) ||
+    join(__dirname, "../db/rpc-server");
+
+  console.log(`🔍 Checking ticket indexes in ${dbPath}...`);
+
+  const hcore = new Hypercore(dbPath);
+  const hbee = new Hyperbee(hcore, {
+    keyEncoding: "utf-8",
+    valueEncoding: "binary",
+  });
+  await hbee.ready();
+
+  const ticketStorage = new TicketStorage(hbee);
+  const report = repair
+    ? await ticketStorage.rebuildIndexes()
+    : await ticketStorage.verifyIndexes();
+
+  console.log(`Tickets: ${report.tickets}`);
+  console.log(`Index entries: ${report.indexes}`);
+  console.log(`Missing entries: ${report.missing.length}`);
+  console.log(`Orphaned entries: ${report.orphaned.length}`);
+
+  for (const key of report.missing) console.log(`  + ${key}`);
+  for (const key of report.orphaned) console.log(`  - ${key}`);
+
+  if (report.healthy) {
+    console.log("✅ Indexes are consistent");
+  } else if (repair) {
+    console.log(
+      `🔧 Repaired ${report.repaired} entries, dropped ${report.dropped} orphans`
+    );
+  } else {
+    console.log("⚠️  Indexes are inconsistent; re-run with --repair to fix");
+  }
+
+  await hbee.close();
+
+  process.exit(report.healthy || repair ? 0 : 1);
+}
+
+verifyIndexes().catch((error) => {
+  console.error("❌ Index verification failed:", error);
+  process.exit(1);
+});
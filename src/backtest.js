@@ -0,0 +1,271 @@
+"use strict";
+
+import { readFile } from "fs/promises";
+import { dirname, extname, resolve } from "path";
+import { UrgencyScorer } from "./urgency-scorer.js";
+import { decodeTicketCall } from "./calldata-decoder.js";
+import { DEFAULT_PRICE_CONFIG, priceTicket } from "./price-provider.js";
+import { profileVersion } from "./scoring-profile.js";
+
+// Operator labels may be words instead of numbers; only the order matters
+export const PRIORITY_LABELS = {
+  low: 1,
+  medium: 2,
+  high: 3,
+  critical: 4,
+};
+
+export const LLM_MODES = ["off", "recorded"];
+
+export function priorityValue(truePriority) {
+  if (typeof truePriority === "number" && Number.isFinite(truePriority)) {
+    return truePriority;
+  }
+  if (typeof truePriority === "string") {
+    const value = PRIORITY_LABELS[truePriority.toLowerCase()];
+    if (value !== undefined) return value;
+  }
+  return null;
+}
+
+// A labeled set is a JSON array, { "tickets": [...] } or JSON lines. Each
+// entry is an exported ticket with a "truePriority", { ticket, truePriority }
+// or { fixture, truePriority } naming a ticket file next to the set. "asOf"
+// (per entry) pins the moment the ticket is scored at.
+export async function loadLabeledSet(file) {
+  const raw = await readFile(file, "utf-8");
+  const parsed =
+    extname(file).toLowerCase() === ".jsonl"
+      ? raw
+          .split("\n")
+          .filter((line) => line.trim())
+          .map((line) => JSON.parse(line))
+      : JSON.parse(raw);
+  const items = Array.isArray(parsed) ? parsed : parsed.tickets;
+  if (!Array.isArray(items)) {
+    throw new Error(`${file} has no ticket list`);
+  }
+
+  const entries = [];
+  for (const [index, item] of items.entries()) {
+    let ticket = item.ticket;
+    if (item.fixture) {
+      ticket = JSON.parse(
+        await readFile(resolve(dirname(file), item.fixture), "utf-8")
+      );
+    }
+    if (!ticket) {
+      const { truePriority, asOf, ...exported } = item;
+      ticket = exported;
+    }
+
+    entries.push({
+      id: ticket.id || item.fixture || `${file}#${index}`,
+      ticket,
+      truePriority: item.truePriority ?? null,
+      asOf: item.asOf ?? null,
+    });
+  }
+
+  return entries;
+}
+
+// 1-based ranks, highest value first; ties share their average rank
+function rank(values) {
+  const order = values
+    .map((value, index) => ({ value, index }))
+    .sort((a, b) => b.value - a.value);
+
+  const ranks = new Array(values.length);
+  for (let start = 0; start < order.length; ) {
+    let end = start;
+    while (
+      end + 1 < order.length &&
+      order[end + 1].value === order[start].value
+    ) {
+      end++;
+    }
+    for (let i = start; i <= end; i++) {
+      ranks[order[i].index] = (start + end) / 2 + 1;
+    }
+    start = end + 1;
+  }
+  return ranks;
+}
+
+function pearson(xs, ys) {
+  const n = xs.length;
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / n;
+
+  let covariance = 0;
+  let varianceX = 0;
+  let varianceY = 0;
+  for (let i = 0; i < n; i++) {
+    covariance += (xs[i] - meanX) * (ys[i] - meanY);
+    varianceX += (xs[i] - meanX) ** 2;
+    varianceY += (ys[i] - meanY) ** 2;
+  }
+
+  // A constant series has no order to agree with
+  if (varianceX === 0 || varianceY === 0) return null;
+  return covariance / Math.sqrt(varianceX * varianceY);
+}
+
+// Spearman's rho: -1 (reversed) to 1 (same order), null if undefined
+export function rankCorrelation(xs, ys) {
+  if (xs.length !== ys.length) {
+    throw new Error("Rank correlation needs two series of the same length");
+  }
+  if (xs.length < 2) return null;
+  return pearson(rank(xs), rank(ys));
+}
+
+// Share of the k highest-scored tickets that belong in the top k by true
+// priority; tickets tied with the k-th true priority all count as top
+export function precisionAtK(scores, truths, k) {
+  const n = Math.min(k, scores.length);
+  if (n === 0) return null;
+
+  const byScore = scores
+    .map((score, index) => ({ score, index }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, n);
+  const cutoff = [...truths].sort((a, b) => b - a)[n - 1];
+
+  const hits = byScore.filter(({ index }) => truths[index] >= cutoff).length;
+  return hits / n;
+}
+
+// Fills in what the server would have added at submission, for fixtures
+// that were never triaged; exported tickets keep what they were scored with
+async function prepareTicket(ticket, now, { priceProvider, priceConfig }) {
+  const prepared = structuredClone(ticket);
+  if (prepared.decodedCall === undefined) {
+    prepared.decodedCall = decodeTicketCall(prepared);
+  }
+  if (prepared.priceSnapshot === undefined && priceProvider) {
+    prepared.priceSnapshot = await priceTicket(
+      prepared,
+      priceProvider,
+      priceConfig,
+      now
+    );
+  }
+  return prepared;
+}
+
+// Replays labeled tickets through the deterministic scorer under each
+// profile. Plugins and rules are left out; the LLM is either off or replays
+// the adjustment recorded on exported tickets ("recorded").
+export async function runBacktest(entries, profiles, options = {}) {
+  const {
+    k = 5,
+    llm = "off",
+    priceProvider = null,
+    priceConfig = DEFAULT_PRICE_CONFIG,
+  } = options;
+  if (!LLM_MODES.includes(llm)) {
+    throw new Error(`llm must be one of ${LLM_MODES.join(", ")}`);
+  }
+
+  const labeled = entries.filter(
+    (entry) => priorityValue(entry.truePriority) !== null
+  );
+  const truths = labeled.map((entry) => priorityValue(entry.truePriority));
+
+  const tickets = [];
+  for (const entry of labeled) {
+    const { ticket } = entry;
+    const now = new Date(
+      entry.asOf ??
+        ticket.urgencyBreakdown?.scoredAt ??
+        ticket.createdAt ??
+        Date.now()
+    ).getTime();
+    tickets.push({
+      entry,
+      now,
+      ticket: await prepareTicket(ticket, now, { priceProvider, priceConfig }),
+    });
+  }
+
+  const results = [];
+  for (const { name, scoring } of profiles) {
+    // Never initialized, so no model is loaded
+    const scorer = new UrgencyScorer({ scoring });
+    const weights = scorer.getFactorWeights();
+
+    const scored = tickets.map(({ entry, now, ticket }, index) => {
+      const factors = scorer.getUrgencyFactors(ticket, now);
+      const baseUrgency = scorer.calculateDeterministicUrgency(
+        ticket,
+        factors,
+        weights
+      );
+      const llmAdjustment =
+        llm === "recorded" ? ticket.urgencyBreakdown?.llmAdjustment || 0 : 0;
+
+      return {
+        id: entry.id,
+        truePriority: truths[index],
+        score: Math.max(0, Math.min(1, baseUrgency + llmAdjustment)),
+        baseUrgency,
+        factors,
+      };
+    });
+
+    const scores = scored.map((ticket) => ticket.score);
+    results.push({
+      name,
+      profileVersion: profileVersion(scorer.profile),
+      tickets: scored,
+      rankCorrelation: rankCorrelation(scores, truths),
+      precisionAtK: precisionAtK(scores, truths, k),
+      factors: summarizeFactors(scored, weights, truths),
+    });
+  }
+
+  return {
+    k,
+    llm,
+    labeled: labeled.length,
+    unlabeled: entries.length - labeled.length,
+    profiles: results,
+  };
+}
+
+// Per factor: how often it applied, its mean score, its mean share of the
+// base urgency and how well it orders tickets on its own
+function summarizeFactors(scored, weights, truths) {
+  const names = [
+    ...new Set(scored.flatMap((ticket) => Object.keys(ticket.factors))),
+  ];
+
+  return names.map((factor) => {
+    const contributions = scored.map((ticket) => {
+      const totalWeight = Object.keys(ticket.factors)
+        .map((name) => weights[name] || 0)
+        .reduce((sum, weight) => sum + weight, 0);
+      const score = ticket.factors[factor];
+      return score === undefined || totalWeight === 0
+        ? 0
+        : (score * (weights[factor] || 0)) / totalWeight;
+    });
+    const present = scored.filter((ticket) => factor in ticket.factors);
+    const scores = scored.map((ticket) => ticket.factors[factor] ?? 0);
+
+    return {
+      factor,
+      weight: weights[factor] || 0,
+      applied: present.length,
+      meanScore:
+        present.reduce((sum, ticket) => sum + ticket.factors[factor], 0) /
+        (present.length || 1),
+      meanContribution:
+        contributions.reduce((sum, value) => sum + value, 0) /
+        (scored.length || 1),
+      rankCorrelation: rankCorrelation(scores, truths),
+    };
+  });
+}
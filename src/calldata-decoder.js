@@ -0,0 +1,254 @@
+"use strict";
+
+import { Interface, MaxUint256, getBytes, hexlify } from "ethers";
+import { OPERATION_DELEGATECALL } from "./safe-tx.js";
+import { MULTI_SEND_CALL_ONLY_ADDRESS } from "./tx-builder-export.js";
+
+// Local ABI registry; transferFrom is shared by ERC-20 and ERC-721
+const ABIS = {
+  erc20: [
+    "function transfer(address to, uint256 value)",
+    "function approve(address spender, uint256 value)",
+    "function transferFrom(address from, address to, uint256 value)",
+    "function increaseAllowance(address spender, uint256 addedValue)",
+  ],
+  erc721: [
+    "function safeTransferFrom(address from, address to, uint256 tokenId)",
+    "function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)",
+    "function setApprovalForAll(address operator, bool approved)",
+  ],
+  safe: [
+    "function addOwnerWithThreshold(address owner, uint256 _threshold)",
+    "function removeOwner(address prevOwner, address owner, uint256 _threshold)",
+    "function swapOwner(address prevOwner, address oldOwner, address newOwner)",
+    "function changeThreshold(uint256 _threshold)",
+    "function enableModule(address module)",
+    "function disableModule(address prevModule, address module)",
+    "function setGuard(address guard)",
+    "function setFallbackHandler(address handler)",
+  ],
+  multiSend: ["function multiSend(bytes transactions)"],
+};
+
+// MultiSend v1.3.0 and MultiSendCallOnly v1.3.0; delegatecalls to these
+// only batch other calls, so the calls inside are what gets judged
+const MULTI_SEND_ADDRESSES = [
+  "0xA238CBeb142c10Ef7Ad8442C6D1f9E89e07e7761",
+  MULTI_SEND_CALL_ONLY_ADDRESS,
+].map((address) => address.toLowerCase());
+
+// Risk flags and how much each raises urgency (0-1)
+export const CALL_RISKS = {
+  delegatecall: 1.0,
+  "owner-change": 0.9,
+  "threshold-change": 0.9,
+  "module-change": 0.9,
+  "unlimited-approval": 0.9,
+  "operator-approval": 0.8,
+};
+
+const METHOD_RISKS = {
+  addOwnerWithThreshold: "owner-change",
+  removeOwner: "owner-change",
+  swapOwner: "owner-change",
+  changeThreshold: "threshold-change",
+  enableModule: "module-change",
+  disableModule: "module-change",
+  setGuard: "module-change",
+  setFallbackHandler: "module-change",
+};
+
+// Allowances at or above this are treated as unlimited
+const UNLIMITED_ALLOWANCE = MaxUint256 / 2n;
+
+const SELECTORS = new Map();
+for (const [standard, abi] of Object.entries(ABIS)) {
+  const iface = new Interface(abi);
+  iface.forEachFunction((fragment) => {
+    if (!SELECTORS.has(fragment.selector)) {
+      SELECTORS.set(fragment.selector, { standard, iface, fragment });
+    }
+  });
+}
+
+function formatValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(formatValue);
+  return value;
+}
+
+// Splits MultiSend's packed bytes: operation, to, value, length, data.
+// Transactions past a malformed entry can't be located, so decoding stops
+// there
+export function decodeMultiSendTransactions(packed) {
+  const bytes = getBytes(packed);
+  const transactions = [];
+  let offset = 0;
+
+  while (offset < bytes.length) {
+    // A truncated header or data ends the batch with an error entry
+    const dataStart = offset + 85;
+    const length =
+      dataStart <= bytes.length
+        ? BigInt(hexlify(bytes.slice(offset + 53, dataStart)))
+        : null;
+    if (length === null || length > BigInt(bytes.length - dataStart)) {
+      transactions.push({ error: "malformed multiSend" });
+      break;
+    }
+
+    transactions.push({
+      operation: bytes[offset],
+      to: hexlify(bytes.slice(offset + 1, offset + 21)),
+      value: BigInt(hexlify(bytes.slice(offset + 21, offset + 53))).toString(),
+      data: hexlify(bytes.slice(dataStart, dataStart + Number(length))),
+    });
+    offset = dataStart + Number(length);
+  }
+
+  return transactions;
+}
+
+// Method and named arguments for calldata, or null for a plain transfer
+export function decodeCalldata(data) {
+  if (!data || data === "0x") return null;
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const known = SELECTORS.get(selector);
+  if (!known) {
+    return { method: null, selector, standard: null, args: {} };
+  }
+
+  const { standard, iface, fragment } = known;
+  let values;
+  try {
+    values = iface.decodeFunctionData(fragment, data);
+  } catch (error) {
+    return {
+      method: fragment.name,
+      selector,
+      standard,
+      args: {},
+      error: "malformed calldata",
+    };
+  }
+
+  const args = {};
+  fragment.inputs.forEach((input, index) => {
+    args[input.name || `arg${index}`] = formatValue(values[index]);
+  });
+
+  return { method: fragment.name, selector, standard, args };
+}
+
+function collectRisks(call) {
+  const risks = [];
+
+  if (
+    call.operation === "delegatecall" &&
+    !MULTI_SEND_ADDRESSES.includes((call.to || "").toLowerCase())
+  ) {
+    risks.push("delegatecall");
+  }
+
+  if (METHOD_RISKS[call.method]) risks.push(METHOD_RISKS[call.method]);
+
+  if (
+    (call.method === "approve" || call.method === "increaseAllowance") &&
+    BigInt(call.args.value ?? call.args.addedValue ?? 0) >= UNLIMITED_ALLOWANCE
+  ) {
+    risks.push("unlimited-approval");
+  }
+
+  if (call.method === "setApprovalForAll" && call.args.approved === true) {
+    risks.push("operator-approval");
+  }
+
+  for (const inner of call.calls || []) {
+    risks.push(...inner.risks);
+  }
+
+  return [...new Set(risks)];
+}
+
+// Decodes one call, descending into MultiSend batches
+export function decodeCall({ to, value = "0", data, operation = 0 }) {
+  const decoded = decodeCalldata(data);
+  const isDelegate = Number(operation) === OPERATION_DELEGATECALL;
+  if (!decoded && !isDelegate) return null;
+
+  const call = {
+    to,
+    value: String(value),
+    operation: isDelegate ? "delegatecall" : "call",
+    method: decoded?.method ?? null,
+    selector: decoded?.selector ?? null,
+    standard: decoded?.standard ?? null,
+    args: decoded?.args ?? {},
+  };
+
+  if (
+    call.method === "multiSend" &&
+    typeof call.args.transactions === "string"
+  ) {
+    call.calls = decodeMultiSendTransactions(call.args.transactions).map(
+      (inner) =>
+        (!inner.error && decodeCall(inner)) || {
+          to: inner.to ?? null,
+          value: inner.value ?? "0",
+          operation: "call",
+          method: null,
+          selector: null,
+          standard: null,
+          args: {},
+          ...(inner.error && { error: inner.error }),
+          risks: [],
+        }
+    );
+    delete call.args.transactions;
+  }
+
+  call.risks = collectRisks(call);
+  return call;
+}
+
+// Decoded call for a ticket's Safe transaction (or raw data), or null
+export function decodeTicketCall(ticket) {
+  const safeTx = ticket.safeTx;
+  if (safeTx) return decodeCall(safeTx);
+
+  if (ticket.data) {
+    return decodeCall({ to: ticket.recipient?.address, data: ticket.data });
+  }
+
+  return null;
+}
+
+function shortValue(value) {
+  if (typeof value === "string" && /^0x[0-9a-fA-F]{40}$/.test(value)) {
+    return `${value.slice(0, 8)}...`;
+  }
+  if (typeof value === "string" && /^\d+$/.test(value)) {
+    return BigInt(value) >= UNLIMITED_ALLOWANCE ? "unlimited" : value;
+  }
+  return String(value);
+}
+
+// "approve(spender=0x1234ab..., value=unlimited)"
+export function formatCall(call) {
+  if (call?.error && !call.selector) return call.error;
+  if (!call || (!call.selector && call.operation === "call")) {
+    return "plain transfer";
+  }
+
+  const name = call.method || `unknown ${call.selector || "call"}`;
+  if (call.calls) {
+    return `${name}[${call.calls.map(formatCall).join(", ")}]`;
+  }
+
+  const args = Object.entries(call.args)
+    .map(([key, value]) => `${key}=${shortValue(value)}`)
+    .join(", ");
+  const prefix = call.operation === "delegatecall" ? "delegatecall " : "";
+  return `${prefix}${name}(${args})`;
+}
@@ -0,0 +1,254 @@
+"use strict";
+
+import { isAddress } from "./safe-tx.js";
+
+// Off-chain valuation currencies every chain accepts
+export const FIAT_CURRENCIES = ["USD"];
+
+// Built-in chain registry; config.json "chains" extends or overrides it.
+// Tokens may be pegged to another currency for valuation.
+export const DEFAULT_CHAINS = {
+  1: {
+    name: "Ethereum",
+    aliases: ["ethereum", "mainnet", "eth"],
+    nativeCurrency: { symbol: "ETH", decimals: 18 },
+    explorer: "https://etherscan.io",
+    tokens: {
+      USDC: {
+        address: "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48",
+        decimals: 6,
+        peg: "USD",
+      },
+      USDT: {
+        address: "0xdAC17F958D2ee523a2206206994597C13D831ec7",
+        decimals: 6,
+        peg: "USD",
+      },
+      DAI: {
+        address: "0x6B175474E89094C44Da98b954EedeAC495271d0F",
+        decimals: 18,
+        peg: "USD",
+      },
+      WETH: {
+        address: "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2",
+        decimals: 18,
+        peg: "ETH",
+      },
+    },
+  },
+  10: {
+    name: "Optimism",
+    aliases: ["optimism", "op"],
+    nativeCurrency: { symbol: "ETH", decimals: 18 },
+    explorer: "https://optimistic.etherscan.io",
+    tokens: {
+      USDC: {
+        address: "0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85",
+        decimals: 6,
+        peg: "USD",
+      },
+      WETH: {
+        address: "0x4200000000000000000000000000000000000006",
+        decimals: 18,
+        peg: "ETH",
+      },
+    },
+  },
+  137: {
+    name: "Polygon",
+    aliases: ["polygon", "matic"],
+    nativeCurrency: { symbol: "POL", decimals: 18 },
+    explorer: "https://polygonscan.com",
+    tokens: {
+      USDC: {
+        address: "0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359",
+        decimals: 6,
+        peg: "USD",
+      },
+      USDT: {
+        address: "0xc2132D05D31c914a87C6611C10748AEb04B58e8F",
+        decimals: 6,
+        peg: "USD",
+      },
+      WETH: {
+        address: "0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619",
+        decimals: 18,
+        peg: "ETH",
+      },
+    },
+  },
+  8453: {
+    name: "Base",
+    aliases: ["base"],
+    nativeCurrency: { symbol: "ETH", decimals: 18 },
+    explorer: "https://basescan.org",
+    tokens: {
+      USDC: {
+        address: "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913",
+        decimals: 6,
+        peg: "USD",
+      },
+      WETH: {
+        address: "0x4200000000000000000000000000000000000006",
+        decimals: 18,
+        peg: "ETH",
+      },
+    },
+  },
+  42161: {
+    name: "Arbitrum One",
+    aliases: ["arbitrum", "arb"],
+    nativeCurrency: { symbol: "ETH", decimals: 18 },
+    explorer: "https://arbiscan.io",
+    tokens: {
+      USDC: {
+        address: "0xaf88d065e77c8cC2239327C5EDb3A432268e5831",
+        decimals: 6,
+        peg: "USD",
+      },
+      USDT: {
+        address: "0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9",
+        decimals: 6,
+        peg: "USD",
+      },
+      WETH: {
+        address: "0x82aF49447D8a07e3bd95BD0d56f35241523fBab1",
+        decimals: 18,
+        peg: "ETH",
+      },
+    },
+  },
+  11155111: {
+    name: "Sepolia",
+    aliases: ["sepolia"],
+    nativeCurrency: { symbol: "ETH", decimals: 18 },
+    explorer: "https://sepolia.etherscan.io",
+    tokens: {},
+  },
+};
+
+export class ChainRegistry {
+  constructor(overrides = {}) {
+    this.chains = new Map();
+
+    for (const source of [DEFAULT_CHAINS, overrides]) {
+      for (const [id, chain] of Object.entries(source)) {
+        const chainId = Number(id);
+        const existing = this.chains.get(chainId) || { tokens: {} };
+        this.chains.set(chainId, {
+          ...existing,
+          ...chain,
+          chainId,
+          tokens: { ...existing.tokens, ...chain.tokens },
+        });
+      }
+    }
+  }
+
+  getChain(chainId) {
+    return this.chains.get(Number(chainId)) || null;
+  }
+
+  requireChain(chainId) {
+    const chain = this.getChain(chainId);
+    if (!chain) {
+      throw new Error(`Unknown chainId: ${chainId}`);
+    }
+    return chain;
+  }
+
+  // Chain by id or by name / alias (e.g. "polygon"), or null
+  resolveChain(value) {
+    if (value === null || value === undefined || value === "") return null;
+    if (this.getChain(value)) return this.getChain(value);
+
+    const name = String(value).toLowerCase();
+    for (const chain of this.chains.values()) {
+      if (
+        chain.name.toLowerCase() === name ||
+        (chain.aliases || []).includes(name)
+      ) {
+        return chain;
+      }
+    }
+
+    return null;
+  }
+
+  listChains() {
+    return [...this.chains.values()];
+  }
+
+  // Native coin, known token or fiat valuation currency on a chain
+  getCurrency(chainId, symbol) {
+    const chain = this.getChain(chainId);
+    const currency = String(symbol || "").toUpperCase();
+    if (!chain || !currency) return null;
+
+    if (FIAT_CURRENCIES.includes(currency)) {
+      return { symbol: currency, fiat: true };
+    }
+
+    if (chain.nativeCurrency.symbol === currency) {
+      return {
+        symbol: currency,
+        decimals: chain.nativeCurrency.decimals,
+        native: true,
+        address: null,
+        peg: chain.nativeCurrency.peg || currency,
+      };
+    }
+
+    const token = chain.tokens[currency];
+    if (token) {
+      return {
+        symbol: currency,
+        decimals: token.decimals,
+        native: false,
+        address: token.address,
+        peg: token.peg || currency,
+      };
+    }
+
+    return null;
+  }
+
+  requireCurrency(chainId, symbol) {
+    const currency = this.getCurrency(chainId, symbol);
+    if (!currency) {
+      throw new Error(
+        `Currency ${symbol} is not available on ${
+          this.requireChain(chainId).name
+        }`
+      );
+    }
+    return currency;
+  }
+
+  explorerUrl(chainId, address) {
+    const chain = this.getChain(chainId);
+    if (!chain?.explorer || !isAddress(address)) return null;
+    return `${chain.explorer}/address/${address}`;
+  }
+
+  // Source and target of a bridge ticket, or null for a same-chain one
+  crossChainRoute(ticket) {
+    const source = this.getChain(ticket.chainId);
+    const targetHint = ticket.targetChainId ?? ticket.metadata?.targetChain;
+    const target = this.resolveChain(targetHint);
+    const text = `${ticket.type || ""} ${ticket.description || ""}`;
+    const isBridge = /\bbridg(e|ed|ing)\b/i.test(text);
+
+    if (!isBridge && (!target || target.chainId === source?.chainId)) {
+      return null;
+    }
+
+    return {
+      sourceChainId: source?.chainId ?? null,
+      sourceChain: source?.name ?? null,
+      targetChainId: target?.chainId ?? null,
+      targetChain: target?.name ?? targetHint ?? null,
+      protocol: ticket.metadata?.bridgeProtocol || null,
+    };
+  }
+}
@@ -241,6 +241,22 @@ export class TriageClient {
   }
 
   async searchTickets(options = {}) {
+    const { tickets } = await this.searchTicketsPage(options);
+    return tickets;
+  }
+
+  // Walks every page, passing each response's cursor back to the server
+  async *iterateTickets(options = {}) {
+    let cursor = options.cursor || null;
+
+    do {
+      const page = await this.searchTicketsPage({ ...options, cursor });
+      yield* page.tickets;
+      cursor = page.cursor;
+    } while (cursor);
+  }
+
+  async searchTicketsPage(options = {}) {
     if (!this.connected) {
       throw new Error("Client not connected");
     }
@@ -264,7 +280,500 @@ export class TriageClient {
       throw new Error(response.error || "Failed to search tickets");
     }
 
-    return response.tickets;
+    return { tickets: response.tickets, cursor: response.cursor || null };
+  }
+
+  async approveTicket(ticketId, approver, signature) {
+    if (!this.connected) {
+      throw new Error("Client not connected");
+    }
+
+    if (!this.config.serverPublicKey) {
+      throw new Error("Server public key not configured");
+    }
+
+    const payload = { ticketId, approver, signature };
+    const payloadRaw = Buffer.from(JSON.stringify(payload), "utf-8");
+
+    const respRaw = await this.rpc.request(
+      this.config.serverPublicKey,
+      "approveTicket",
+      payloadRaw
+    );
+
+    const response = JSON.parse(respRaw.toString("utf-8"));
+
+    if (!response.success) {
+      throw new Error(response.error || "Failed to approve ticket");
+    }
+
+    return response;
+  }
+
+  async rejectTicket(ticketId, approver, signature, reason) {
+    if (!this.connected) {
+      throw new Error("Client not connected");
+    }
+
+    if (!this.config.serverPublicKey) {
+      throw new Error("Server public key not configured");
+    }
+
+    const payload = { ticketId, approver, signature, reason };
+    const payloadRaw = Buffer.from(JSON.stringify(payload), "utf-8");
+
+    const respRaw = await this.rpc.request(
+      this.config.serverPublicKey,
+      "rejectTicket",
+      payloadRaw
+    );
+
+    const response = JSON.parse(respRaw.toString("utf-8"));
+
+    if (!response.success) {
+      throw new Error(response.error || "Failed to reject ticket");
+    }
+
+    return response;
+  }
+
+  async transitionTicket(ticketId, status, actor, reason) {
+    if (!this.connected) {
+      throw new Error("Client not connected");
+    }
+
+    if (!this.config.serverPublicKey) {
+      throw new Error("Server public key not configured");
+    }
+
+    const payload = { ticketId, status, actor, reason };
+    const payloadRaw = Buffer.from(JSON.stringify(payload), "utf-8");
+
+    const respRaw = await this.rpc.request(
+      this.config.serverPublicKey,
+      "transitionTicket",
+      payloadRaw
+    );
+
+    const response = JSON.parse(respRaw.toString("utf-8"));
+
+    if (!response.success) {
+      throw new Error(response.error || "Failed to transition ticket");
+    }
+
+    return response;
+  }
+
+  async registerSafe(safe) {
+    if (!this.connected) {
+      throw new Error("Client not connected");
+    }
+
+    if (!this.config.serverPublicKey) {
+      throw new Error("Server public key not configured");
+    }
+
+    const payload = { safe };
+    const payloadRaw = Buffer.from(JSON.stringify(payload), "utf-8");
+
+    const respRaw = await this.rpc.request(
+      this.config.serverPublicKey,
+      "registerSafe",
+      payloadRaw
+    );
+
+    const response = JSON.parse(respRaw.toString("utf-8"));
+
+    if (!response.success) {
+      throw new Error(response.error || "Failed to register Safe");
+    }
+
+    return response.safe;
+  }
+
+  async updateSafe(address, chainId, changes = {}) {
+    if (!this.connected) {
+      throw new Error("Client not connected");
+    }
+
+    if (!this.config.serverPublicKey) {
+      throw new Error("Server public key not configured");
+    }
+
+    const payload = { address, chainId, ...changes };
+    const payloadRaw = Buffer.from(JSON.stringify(payload), "utf-8");
+
+    const respRaw = await this.rpc.request(
+      this.config.serverPublicKey,
+      "updateSafe",
+      payloadRaw
+    );
+
+    const response = JSON.parse(respRaw.toString("utf-8"));
+
+    if (!response.success) {
+      throw new Error(response.error || "Failed to update Safe");
+    }
+
+    return response;
+  }
+
+  async getSafe(address, chainId) {
+    if (!this.connected) {
+      throw new Error("Client not connected");
+    }
+
+    if (!this.config.serverPublicKey) {
+      throw new Error("Server public key not configured");
+    }
+
+    const payload = { address, chainId };
+    const payloadRaw = Buffer.from(JSON.stringify(payload), "utf-8");
+
+    const respRaw = await this.rpc.request(
+      this.config.serverPublicKey,
+      "getSafe",
+      payloadRaw
+    );
+
+    const response = JSON.parse(respRaw.toString("utf-8"));
+
+    if (!response.success) {
+      throw new Error(response.error || "Failed to get Safe");
+    }
+
+    return response.safe;
+  }
+
+  async listSafes() {
+    if (!this.connected) {
+      throw new Error("Client not connected");
+    }
+
+    if (!this.config.serverPublicKey) {
+      throw new Error("Server public key not configured");
+    }
+
+    const payload = {};
+    const payloadRaw = Buffer.from(JSON.stringify(payload), "utf-8");
+
+    const respRaw = await this.rpc.request(
+      this.config.serverPublicKey,
+      "listSafes",
+      payloadRaw
+    );
+
+    const response = JSON.parse(respRaw.toString("utf-8"));
+
+    if (!response.success) {
+      throw new Error(response.error || "Failed to list Safes");
+    }
+
+    return response.safes;
+  }
+
+  async createRule(rule) {
+    if (!this.connected) {
+      throw new Error("Client not connected");
+    }
+
+    if (!this.config.serverPublicKey) {
+      throw new Error("Server public key not configured");
+    }
+
+    const payload = { rule };
+    const payloadRaw = Buffer.from(JSON.stringify(payload), "utf-8");
+
+    const respRaw = await this.rpc.request(
+      this.config.serverPublicKey,
+      "createRule",
+      payloadRaw
+    );
+
+    const response = JSON.parse(respRaw.toString("utf-8"));
+
+    if (!response.success) {
+      throw new Error(response.error || "Failed to create rule");
+    }
+
+    return response;
+  }
+
+  async updateRule(id, changes = {}) {
+    if (!this.connected) {
+      throw new Error("Client not connected");
+    }
+
+    if (!this.config.serverPublicKey) {
+      throw new Error("Server public key not configured");
+    }
+
+    const payload = { id, ...changes };
+    const payloadRaw = Buffer.from(JSON.stringify(payload), "utf-8");
+
+    const respRaw = await this.rpc.request(
+      this.config.serverPublicKey,
+      "updateRule",
+      payloadRaw
+    );
+
+    const response = JSON.parse(respRaw.toString("utf-8"));
+
+    if (!response.success) {
+      throw new Error(response.error || "Failed to update rule");
+    }
+
+    return response;
+  }
+
+  async deleteRule(id) {
+    if (!this.connected) {
+      throw new Error("Client not connected");
+    }
+
+    if (!this.config.serverPublicKey) {
+      throw new Error("Server public key not configured");
+    }
+
+    const payload = { id };
+    const payloadRaw = Buffer.from(JSON.stringify(payload), "utf-8");
+
+    const respRaw = await this.rpc.request(
+      this.config.serverPublicKey,
+      "deleteRule",
+      payloadRaw
+    );
+
+    const response = JSON.parse(respRaw.toString("utf-8"));
+
+    if (!response.success) {
+      throw new Error(response.error || "Failed to delete rule");
+    }
+
+    return response;
+  }
+
+  async getRule(id) {
+    if (!this.connected) {
+      throw new Error("Client not connected");
+    }
+
+    if (!this.config.serverPublicKey) {
+      throw new Error("Server public key not configured");
+    }
+
+    const payload = { id };
+    const payloadRaw = Buffer.from(JSON.stringify(payload), "utf-8");
+
+    const respRaw = await this.rpc.request(
+      this.config.serverPublicKey,
+      "getRule",
+      payloadRaw
+    );
+
+    const response = JSON.parse(respRaw.toString("utf-8"));
+
+    if (!response.success) {
+      throw new Error(response.error || "Failed to get rule");
+    }
+
+    return response.rule;
+  }
+
+  async listRules() {
+    if (!this.connected) {
+      throw new Error("Client not connected");
+    }
+
+    if (!this.config.serverPublicKey) {
+      throw new Error("Server public key not configured");
+    }
+
+    const payload = {};
+    const payloadRaw = Buffer.from(JSON.stringify(payload), "utf-8");
+
+    const respRaw = await this.rpc.request(
+      this.config.serverPublicKey,
+      "listRules",
+      payloadRaw
+    );
+
+    const response = JSON.parse(respRaw.toString("utf-8"));
+
+    if (!response.success) {
+      throw new Error(response.error || "Failed to list rules");
+    }
+
+    return response.rules;
+  }
+
+  // Bulk-submits a Safe Transaction Service multisig-transactions page
+  async importSafeTransactions(transactions, options = {}) {
+    if (!this.connected) {
+      throw new Error("Client not connected");
+    }
+
+    if (!this.config.serverPublicKey) {
+      throw new Error("Server public key not configured");
+    }
+
+    const payload = { transactions, ...options };
+    const payloadRaw = Buffer.from(JSON.stringify(payload), "utf-8");
+
+    const respRaw = await this.rpc.request(
+      this.config.serverPublicKey,
+      "importSafeTransactions",
+      payloadRaw
+    );
+
+    const response = JSON.parse(respRaw.toString("utf-8"));
+
+    if (!response.success) {
+      throw new Error(response.error || "Failed to import Safe transactions");
+    }
+
+    return response;
+  }
+
+  // Transaction Builder batch for approved tickets, optionally bundled
+  async exportTransactionBatch(ticketIds, options = {}) {
+    if (!this.connected) {
+      throw new Error("Client not connected");
+    }
+
+    if (!this.config.serverPublicKey) {
+      throw new Error("Server public key not configured");
+    }
+
+    const payload = { ticketIds, ...options };
+    const payloadRaw = Buffer.from(JSON.stringify(payload), "utf-8");
+
+    const respRaw = await this.rpc.request(
+      this.config.serverPublicKey,
+      "exportTransactionBatch",
+      payloadRaw
+    );
+
+    const response = JSON.parse(respRaw.toString("utf-8"));
+
+    if (!response.success) {
+      throw new Error(response.error || "Failed to export transaction batch");
+    }
+
+    return response;
+  }
+
+  // How a ticket's urgency was produced, factor by factor
+  async explainUrgency(ticketId) {
+    if (!this.connected) {
+      throw new Error("Client not connected");
+    }
+
+    if (!this.config.serverPublicKey) {
+      throw new Error("Server public key not configured");
+    }
+
+    const payload = { ticketId };
+    const payloadRaw = Buffer.from(JSON.stringify(payload), "utf-8");
+
+    const respRaw = await this.rpc.request(
+      this.config.serverPublicKey,
+      "explainUrgency",
+      payloadRaw
+    );
+
+    const response = JSON.parse(respRaw.toString("utf-8"));
+
+    if (!response.success) {
+      throw new Error(response.error || "Failed to explain urgency");
+    }
+
+    return response.explanation;
+  }
+
+  // LLM inference queue depth, outcome counts and latency
+  async getInferenceStats() {
+    if (!this.connected) {
+      throw new Error("Client not connected");
+    }
+
+    if (!this.config.serverPublicKey) {
+      throw new Error("Server public key not configured");
+    }
+
+    const payload = {};
+    const payloadRaw = Buffer.from(JSON.stringify(payload), "utf-8");
+
+    const respRaw = await this.rpc.request(
+      this.config.serverPublicKey,
+      "getInferenceStats",
+      payloadRaw
+    );
+
+    const response = JSON.parse(respRaw.toString("utf-8"));
+
+    if (!response.success) {
+      throw new Error(response.error || "Failed to get inference stats");
+    }
+
+    return response.stats;
+  }
+
+  // Reloads the server's scoring profile from its config.json, or from the
+  // given "scoring" section
+  async reloadScoringProfile(scoring) {
+    if (!this.connected) {
+      throw new Error("Client not connected");
+    }
+
+    if (!this.config.serverPublicKey) {
+      throw new Error("Server public key not configured");
+    }
+
+    const payload = scoring ? { scoring } : {};
+    const payloadRaw = Buffer.from(JSON.stringify(payload), "utf-8");
+
+    const respRaw = await this.rpc.request(
+      this.config.serverPublicKey,
+      "reloadScoringProfile",
+      payloadRaw
+    );
+
+    const response = JSON.parse(respRaw.toString("utf-8"));
+
+    if (!response.success) {
+      throw new Error(response.error || "Failed to reload scoring profile");
+    }
+
+    return response;
+  }
+
+  // Queued transactions per Safe, grouped by nonce; omit address for all
+  async getNonceQueue(address, chainId) {
+    if (!this.connected) {
+      throw new Error("Client not connected");
+    }
+
+    if (!this.config.serverPublicKey) {
+      throw new Error("Server public key not configured");
+    }
+
+    const payload = { address, chainId };
+    const payloadRaw = Buffer.from(JSON.stringify(payload), "utf-8");
+
+    const respRaw = await this.rpc.request(
+      this.config.serverPublicKey,
+      "getNonceQueue",
+      payloadRaw
+    );
+
+    const response = JSON.parse(respRaw.toString("utf-8"));
+
+    if (!response.success) {
+      throw new Error(response.error || "Failed to get nonce queue");
+    }
+
+    return response.safes;
   }
 
   async ping() {
@@ -0,0 +1,137 @@
+"use strict";
+
+import { readdir } from "fs/promises";
+import { extname, join, resolve } from "path";
+import { pathToFileURL } from "url";
+import { DEFAULT_SCORING_PROFILE } from "./scoring-profile.js";
+
+export const DEFAULT_PLUGIN_CONFIG = {
+  directory: "./plugins",
+  timeoutMs: 1000,
+};
+
+const PLUGIN_EXTENSIONS = [".js", ".mjs"];
+
+// Built-in factors a plugin may not shadow
+const RESERVED_NAMES = Object.keys(DEFAULT_SCORING_PROFILE.weights);
+
+// A plugin is { name, weight, compute(ticket, context) }; compute returns a
+// 0-1 score (or a promise of one), or null when the factor doesn't apply
+export function validateFactorPlugin(plugin) {
+  if (!plugin || typeof plugin !== "object") {
+    throw new Error("Plugin must be an object");
+  }
+
+  if (
+    typeof plugin.name !== "string" ||
+    !/^[a-z][a-zA-Z0-9-]*$/.test(plugin.name)
+  ) {
+    throw new Error(`Invalid plugin name: ${plugin.name}`);
+  }
+
+  if (RESERVED_NAMES.includes(plugin.name)) {
+    throw new Error(`Plugin name ${plugin.name} is a built-in factor`);
+  }
+
+  if (typeof plugin.weight !== "number" || !(plugin.weight >= 0)) {
+    throw new Error(`Plugin ${plugin.name} needs a non-negative weight`);
+  }
+
+  if (typeof plugin.compute !== "function") {
+    throw new Error(`Plugin ${plugin.name} needs a compute function`);
+  }
+
+  return {
+    name: plugin.name,
+    weight: plugin.weight,
+    description: plugin.description || "",
+    compute: plugin.compute,
+  };
+}
+
+// Imports every .js / .mjs file directly inside the directory; each default
+// export is a plugin or an array of plugins. Broken files are skipped.
+export async function loadFactorPlugins(directory) {
+  let files;
+  try {
+    files = await readdir(directory);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const plugins = [];
+  for (const file of files.sort()) {
+    if (!PLUGIN_EXTENSIONS.includes(extname(file))) continue;
+
+    try {
+      const module = await import(
+        pathToFileURL(resolve(join(directory, file))).href
+      );
+      const exported = Array.isArray(module.default)
+        ? module.default
+        : [module.default];
+
+      for (const candidate of exported) {
+        const plugin = validateFactorPlugin(candidate);
+        if (plugins.some((loaded) => loaded.name === plugin.name)) {
+          throw new Error(`Duplicate plugin name: ${plugin.name}`);
+        }
+        plugins.push({ ...plugin, file });
+      }
+    } catch (error) {
+      console.warn(`⚠️  Skipping factor plugin ${file}:`, error.message);
+    }
+  }
+
+  return plugins;
+}
+
+function withTimeout(promise, timeoutMs, name) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`${name} timed out after ${timeoutMs}ms`)),
+      timeoutMs
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Runs every plugin against the ticket; a plugin that throws, hangs or
+// returns something other than a 0-1 score or null is left out and reported
+// in errors instead of failing the whole score
+export async function computePluginFactors(
+  plugins,
+  ticket,
+  context,
+  { timeoutMs = DEFAULT_PLUGIN_CONFIG.timeoutMs } = {}
+) {
+  const factors = {};
+  const errors = [];
+  if (plugins.length === 0) return { factors, errors };
+
+  // Plugins see a copy, so a careless one can't change the stored ticket
+  const view = structuredClone(ticket);
+
+  for (const plugin of plugins) {
+    try {
+      const score = await withTimeout(
+        Promise.resolve().then(() => plugin.compute(view, context)),
+        timeoutMs,
+        plugin.name
+      );
+
+      if (score === null || score === undefined) continue;
+      if (typeof score !== "number" || !(score >= 0 && score <= 1)) {
+        throw new Error(`returned ${score}, expected a 0-1 score or null`);
+      }
+      factors[plugin.name] = score;
+    } catch (error) {
+      console.warn(`⚠️  Factor plugin ${plugin.name} failed:`, error.message);
+      errors.push({ plugin: plugin.name, error: error.message });
+    }
+  }
+
+  return { factors, errors };
+}
@@ -0,0 +1,185 @@
+"use strict";
+
+// Latency stats cover the most recent jobs only
+const LATENCY_SAMPLES = 200;
+
+function queueError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function summarize(samples) {
+  if (samples.length === 0) {
+    return { samples: 0, meanMs: null, p50Ms: null, p95Ms: null, maxMs: null };
+  }
+  const sorted = [...samples].sort((a, b) => a - b);
+  const at = (quantile) =>
+    sorted[Math.min(sorted.length - 1, Math.floor(quantile * sorted.length))];
+  return {
+    samples: sorted.length,
+    meanMs: Math.round(
+      sorted.reduce((sum, value) => sum + value, 0) / sorted.length
+    ),
+    p50Ms: at(0.5),
+    p95Ms: at(0.95),
+    maxMs: sorted[sorted.length - 1],
+  };
+}
+
+// Runs LLM inferences at most `concurrency` at a time, in arrival order.
+// Up to `maxQueued` more wait for a slot; beyond that run() fails at once
+// with code QUEUE_FULL so the caller can fall back instead of piling up.
+// Each task gets an AbortSignal that fires when it takes longer than
+// `timeoutMs` (TIMEOUT), when the caller's signal aborts or on close()
+// (CANCELLED; TIMEOUT if the caller's signal aborted with a TimeoutError,
+// e.g. from AbortSignal.timeout()). The caller is rejected right away, but
+// the slot stays taken until the task itself settles, so the backend never
+// sees more than `concurrency` inferences.
+export class InferenceQueue {
+  constructor({ concurrency = 1, maxQueued = 16, timeoutMs = 30000 } = {}) {
+    this.concurrency = concurrency;
+    this.maxQueued = maxQueued;
+    this.timeoutMs = timeoutMs;
+    this.waiting = [];
+    this.running = new Set();
+    this.closed = false;
+    this.counts = {
+      completed: 0,
+      failed: 0,
+      timedOut: 0,
+      cancelled: 0,
+      rejected: 0,
+    };
+    this.waitTimes = [];
+    this.runTimes = [];
+  }
+
+  run(task, { signal } = {}) {
+    if (this.closed || signal?.aborted) {
+      this.counts.cancelled++;
+      return Promise.reject(queueError("CANCELLED", "Inference cancelled"));
+    }
+    if (
+      this.running.size >= this.concurrency &&
+      this.waiting.length >= this.maxQueued
+    ) {
+      this.counts.rejected++;
+      return Promise.reject(
+        queueError(
+          "QUEUE_FULL",
+          `Inference queue is full (${this.waiting.length} waiting)`
+        )
+      );
+    }
+
+    return new Promise((resolve, reject) => {
+      const job = {
+        task,
+        signal,
+        resolve,
+        reject,
+        controller: new AbortController(),
+        enqueuedAt: Date.now(),
+        timer: null,
+        settled: false,
+        done: null,
+      };
+      job.onAbort = () => {
+        if (signal.reason?.name === "TimeoutError") {
+          const error = queueError("TIMEOUT", "Inference deadline passed");
+          this.cancel(job, error, "timedOut");
+        } else {
+          this.cancel(job, queueError("CANCELLED", "Inference cancelled"));
+        }
+      };
+      signal?.addEventListener("abort", job.onAbort, { once: true });
+
+      this.waiting.push(job);
+      this.drain();
+    });
+  }
+
+  drain() {
+    while (this.running.size < this.concurrency && this.waiting.length > 0) {
+      this.start(this.waiting.shift());
+    }
+  }
+
+  start(job) {
+    const startedAt = Date.now();
+    this.record(this.waitTimes, startedAt - job.enqueuedAt);
+    this.running.add(job);
+
+    job.timer = setTimeout(() => {
+      const error = queueError(
+        "TIMEOUT",
+        `Inference timed out after ${this.timeoutMs}ms`
+      );
+      job.controller.abort(error);
+      this.settle(job, "timedOut", error);
+    }, this.timeoutMs);
+
+    job.done = Promise.resolve()
+      .then(() => job.task(job.controller.signal))
+      .then(
+        (value) => this.settle(job, "completed", null, value),
+        (error) => this.settle(job, "failed", error)
+      )
+      .finally(() => {
+        this.running.delete(job);
+        this.record(this.runTimes, Date.now() - startedAt);
+        this.drain();
+      });
+  }
+
+  // A waiting job leaves the queue; a running one is aborted and keeps its
+  // slot until its task gives up
+  cancel(job, error, outcome = "cancelled") {
+    const index = this.waiting.indexOf(job);
+    if (index !== -1) this.waiting.splice(index, 1);
+    job.controller.abort(error);
+    this.settle(job, outcome, error);
+  }
+
+  // Only the first outcome reaches the caller and the counts
+  settle(job, outcome, error, value) {
+    if (job.settled) return;
+    job.settled = true;
+    clearTimeout(job.timer);
+    job.signal?.removeEventListener("abort", job.onAbort);
+
+    this.counts[outcome]++;
+    if (error) job.reject(error);
+    else job.resolve(value);
+  }
+
+  record(samples, ms) {
+    samples.push(ms);
+    if (samples.length > LATENCY_SAMPLES) samples.shift();
+  }
+
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      maxQueued: this.maxQueued,
+      timeoutMs: this.timeoutMs,
+      running: this.running.size,
+      queued: this.waiting.length,
+      ...this.counts,
+      waitMs: summarize(this.waitTimes),
+      latencyMs: summarize(this.runTimes),
+    };
+  }
+
+  // Cancels everything and waits for running tasks to stop, so the backend
+  // can be disposed safely afterwards
+  async close() {
+    this.closed = true;
+    const error = queueError("CANCELLED", "Inference queue closed");
+    for (const job of [...this.waiting, ...this.running]) {
+      this.cancel(job, error);
+    }
+    await Promise.allSettled([...this.running].map((job) => job.done));
+  }
+}
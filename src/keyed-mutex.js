@@ -0,0 +1,27 @@
+"use strict";
+
+// Runs tasks one at a time per key, in the order they were queued; tasks on
+// different keys run concurrently
+export class KeyedMutex {
+  constructor() {
+    this.tails = new Map();
+  }
+
+  async runExclusive(key, task) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise((resolve) => {
+      release = resolve;
+    });
+    const tail = previous.then(() => current);
+    this.tails.set(key, tail);
+
+    await previous;
+    try {
+      return await task();
+    } finally {
+      release();
+      if (this.tails.get(key) === tail) this.tails.delete(key);
+    }
+  }
+}
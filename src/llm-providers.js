@@ -0,0 +1,286 @@
+"use strict";
+
+import { existsSync } from "fs";
+
+export const LLM_PROVIDERS = ["llama-cpp", "openai", "mock"];
+
+export const DEFAULT_LLM_CONFIG = {
+  enabled: false,
+  provider: "llama-cpp",
+  maxTokens: 200,
+  temperature: 0.3,
+  // Inference queue: how many tickets are scored by the LLM at once, how many
+  // more may wait (others are scored deterministically) and how long one
+  // ticket's inference may take
+  concurrency: 1,
+  maxQueued: 16,
+  timeoutMs: 30000,
+  // llama-cpp: a GGUF model run in-process
+  modelPath: "./models/llama-2-7b-chat.Q4_K_M.gguf",
+  contextSize: 4096,
+  // openai: any OpenAI-compatible server (llama.cpp server, Ollama, vLLM)
+  baseUrl: "http://127.0.0.1:8080/v1",
+  model: null,
+  apiKey: null,
+  // mock: the fixed answer it gives
+  mock: {
+    adjustment: 0,
+    summary: "Mock LLM summary",
+    tags: ["mock"],
+    rationale: "Mock LLM rationale",
+  },
+};
+
+export function normalizeLLMConfig(config = {}) {
+  const normalized = {
+    ...DEFAULT_LLM_CONFIG,
+    ...config,
+    mock: { ...DEFAULT_LLM_CONFIG.mock, ...(config.mock || {}) },
+  };
+
+  if (!LLM_PROVIDERS.includes(normalized.provider)) {
+    throw new Error(
+      `Invalid LLM provider: ${
+        normalized.provider
+      } (expected ${LLM_PROVIDERS.join(", ")})`
+    );
+  }
+
+  for (const key of ["maxTokens", "contextSize", "timeoutMs", "concurrency"]) {
+    const value = Number(normalized[key]);
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new Error(`Invalid llm.${key}: ${normalized[key]}`);
+    }
+    normalized[key] = value;
+  }
+
+  const maxQueued = Number(normalized.maxQueued);
+  if (!Number.isInteger(maxQueued) || maxQueued < 0) {
+    throw new Error(`Invalid llm.maxQueued: ${normalized.maxQueued}`);
+  }
+
+  const temperature = Number(normalized.temperature);
+  if (!Number.isFinite(temperature) || temperature < 0) {
+    throw new Error(`Invalid llm.temperature: ${normalized.temperature}`);
+  }
+
+  return {
+    ...normalized,
+    enabled: normalized.enabled === true,
+    maxQueued,
+    temperature,
+  };
+}
+
+// LLM backends implement complete(prompt, options) and resolve to the
+// model's raw text. options are { maxTokens, temperature, schema, signal }:
+// the text is constrained to the JSON schema where the backend supports it,
+// and generation stops once signal aborts. initialize() throws if the backend
+// can't be reached, so the scorer can fall back to deterministic scoring
+export class LLMProvider {
+  async initialize() {}
+
+  async complete(prompt, options) {
+    throw new Error(`${this.constructor.name} does not implement complete`);
+  }
+
+  async dispose() {}
+}
+
+// In-process GGUF model through node-llama-cpp, loaded only when used
+export class LlamaCppProvider extends LLMProvider {
+  constructor({ modelPath, contextSize, concurrency = 1 }) {
+    super();
+    this.name = "llama-cpp";
+    this.modelPath = modelPath;
+    this.contextSize = contextSize;
+    this.concurrency = concurrency;
+    this.llama = null;
+    this.model = null;
+    this.context = null;
+    this.ChatSession = null;
+    this.grammars = new Map();
+  }
+
+  async initialize() {
+    if (!existsSync(this.modelPath)) {
+      throw new Error(`Model file not found: ${this.modelPath}`);
+    }
+
+    const { getLlama, LlamaChatSession } = await import("node-llama-cpp");
+    this.llama = await getLlama();
+    this.model = await this.llama.loadModel({ modelPath: this.modelPath });
+    // One sequence per inference the queue may run at once
+    this.context = await this.model.createContext({
+      contextSize: this.contextSize,
+      sequences: this.concurrency,
+    });
+    this.ChatSession = LlamaChatSession;
+  }
+
+  async complete(prompt, { maxTokens, temperature, schema, signal }) {
+    if (!this.context) {
+      throw new Error("Model not loaded");
+    }
+
+    // Every ticket gets a fresh sequence and session, so nothing of earlier
+    // tickets is in its context; the sequence is freed with the session
+    const grammar = schema && (await this.grammarFor(schema));
+    const session = new this.ChatSession({
+      contextSequence: this.context.getSequence(),
+      autoDisposeSequence: true,
+    });
+    try {
+      return await session.prompt(prompt, {
+        maxTokens,
+        temperature,
+        signal,
+        ...(grammar && { grammar }),
+      });
+    } finally {
+      session.dispose();
+    }
+  }
+
+  // The model can only emit JSON matching the schema; grammars are built
+  // once per schema
+  async grammarFor(schema) {
+    if (!this.grammars.has(schema)) {
+      this.grammars.set(
+        schema,
+        await this.llama.createGrammarForJsonSchema(schema)
+      );
+    }
+    return this.grammars.get(schema);
+  }
+
+  async dispose() {
+    if (this.context) await this.context.dispose();
+    if (this.model) await this.model.dispose();
+    if (this.llama) await this.llama.dispose();
+  }
+}
+
+// Chat completions from an OpenAI-compatible HTTP server
+export class OpenAICompatibleProvider extends LLMProvider {
+  constructor({ baseUrl, model, apiKey, timeoutMs }) {
+    super();
+    this.name = "openai";
+    this.baseUrl = baseUrl.replace(/\/+$/, "");
+    this.model = model;
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+  }
+
+  headers() {
+    return {
+      "Content-Type": "application/json",
+      ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+    };
+  }
+
+  async request(path, init = {}, signal = null) {
+    const timeout = AbortSignal.timeout(this.timeoutMs);
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      ...init,
+      headers: this.headers(),
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+    });
+    if (!response.ok) {
+      throw new Error(
+        `${this.baseUrl}${path} returned ${response.status} ${response.statusText}`
+      );
+    }
+    return response.json();
+  }
+
+  // Checks the server is up; without a configured model the first one it
+  // serves is used
+  async initialize() {
+    const { data } = await this.request("/models");
+    if (!this.model) {
+      if (!Array.isArray(data) || data.length === 0) {
+        throw new Error(`${this.baseUrl} serves no models`);
+      }
+      this.model = data[0].id;
+    }
+  }
+
+  async complete(prompt, { maxTokens, temperature, schema, signal }) {
+    const result = await this.request(
+      "/chat/completions",
+      {
+        method: "POST",
+        body: JSON.stringify({
+          model: this.model,
+          messages: [{ role: "user", content: prompt }],
+          max_tokens: maxTokens,
+          temperature,
+          // Structured output, for servers that support it
+          ...(schema && {
+            response_format: {
+              type: "json_schema",
+              json_schema: { name: "response", strict: true, schema },
+            },
+          }),
+        }),
+      },
+      signal
+    );
+
+    const content = result.choices?.[0]?.message?.content;
+    if (typeof content !== "string") {
+      throw new Error("Completion has no message content");
+    }
+    return content;
+  }
+}
+
+// Settles like value, or rejects with the signal's reason once it aborts
+function abortable(value, signal) {
+  if (!signal) return Promise.resolve(value);
+  if (signal.aborted) return Promise.reject(signal.reason);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+    Promise.resolve(value)
+      .then(resolve, reject)
+      .finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+// Same answer for every prompt, so tests don't need a model; respond(prompt)
+// may compute one instead, and is given up on when the signal aborts.
+// Prompts are kept in calls.
+export class MockLLMProvider extends LLMProvider {
+  constructor({ mock = DEFAULT_LLM_CONFIG.mock, respond = null } = {}) {
+    super();
+    this.name = "mock";
+    this.response = mock;
+    this.respond = respond;
+    this.calls = [];
+  }
+
+  async complete(prompt, options = {}) {
+    this.calls.push({ prompt, options });
+    const response = await abortable(
+      this.respond ? this.respond(prompt) : this.response,
+      options.signal
+    );
+    return typeof response === "string" ? response : JSON.stringify(response);
+  }
+}
+
+export function createLLMProvider(config) {
+  switch (config.provider) {
+    case "llama-cpp":
+      return new LlamaCppProvider(config);
+    case "openai":
+      return new OpenAICompatibleProvider(config);
+    case "mock":
+      return new MockLLMProvider(config);
+    default:
+      throw new Error(`Invalid LLM provider: ${config.provider}`);
+  }
+}
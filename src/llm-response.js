@@ -0,0 +1,113 @@
+"use strict";
+
+// What the urgency prompt asks for. Providers that support it constrain the
+// model to this schema (a GBNF grammar for node-llama-cpp, response_format
+// for OpenAI-compatible servers); every response is validated against it
+// either way. Only the keywords node-llama-cpp's grammar understands are
+// used; "required" lists every property, as the grammar always emits them.
+export const URGENCY_RESPONSE_SCHEMA = {
+  type: "object",
+  properties: {
+    adjustment: { type: "number" },
+    summary: { type: "string", minLength: 1, maxLength: 300 },
+    tags: {
+      type: "array",
+      items: { type: "string", minLength: 1, maxLength: 40 },
+      minItems: 1,
+      maxItems: 5,
+    },
+    rationale: { type: "string", minLength: 1, maxLength: 300 },
+  },
+  required: ["adjustment", "summary", "tags", "rationale"],
+  additionalProperties: false,
+};
+
+// Checks a parsed value against the schema subset above; returns the
+// problems found, empty when it conforms
+export function validateAgainstSchema(value, schema, path = "response") {
+  switch (schema.type) {
+    case "number":
+      return typeof value === "number" && Number.isFinite(value)
+        ? []
+        : [`${path} must be a number`];
+
+    case "string": {
+      if (typeof value !== "string") return [`${path} must be a string`];
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return [`${path} must be at least ${schema.minLength} characters`];
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return [`${path} must be at most ${schema.maxLength} characters`];
+      }
+      return [];
+    }
+
+    case "array": {
+      if (!Array.isArray(value)) return [`${path} must be an array`];
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        return [`${path} must have at least ${schema.minItems} items`];
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        return [`${path} must have at most ${schema.maxItems} items`];
+      }
+      return value.flatMap((item, index) =>
+        validateAgainstSchema(item, schema.items, `${path}[${index}]`)
+      );
+    }
+
+    case "object": {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return [`${path} must be an object`];
+      }
+      const errors = [];
+      for (const key of schema.required || []) {
+        if (!(key in value)) errors.push(`${path}.${key} is missing`);
+      }
+      for (const [key, child] of Object.entries(value)) {
+        if (schema.properties?.[key]) {
+          errors.push(
+            ...validateAgainstSchema(
+              child,
+              schema.properties[key],
+              `${path}.${key}`
+            )
+          );
+        } else if (schema.additionalProperties === false) {
+          errors.push(`${path}.${key} is not allowed`);
+        }
+      }
+      return errors;
+    }
+
+    default:
+      throw new Error(`Unsupported schema type: ${schema.type}`);
+  }
+}
+
+// The whole response must be the JSON object; a model that wraps it in prose
+// gets a repair attempt rather than having the object dug out of the text
+export function parseUrgencyResponse(text) {
+  let value;
+  try {
+    value = JSON.parse(String(text).trim());
+  } catch (error) {
+    return { value: null, errors: [`response is not JSON: ${error.message}`] };
+  }
+
+  const errors = validateAgainstSchema(value, URGENCY_RESPONSE_SCHEMA);
+  return { value: errors.length === 0 ? value : null, errors };
+}
+
+// Follow-up for a response that failed validation; self-contained, since
+// providers don't keep chat history between calls
+export function buildRepairPrompt(prompt, response, errors) {
+  return `${prompt}
+
+Your previous response could not be used:
+${String(response).slice(0, 1000)}
+
+Problems:
+${errors.map((error) => `- ${error}`).join("\n")}
+
+Respond again with only the JSON object: "adjustment" (number), "summary" (1-300 characters), "tags" (1-5 strings) and "rationale" (1-300 characters), and nothing else.`;
+}
@@ -0,0 +1,232 @@
+"use strict";
+
+import { readFile, stat } from "fs/promises";
+import { basename, extname } from "path";
+import { FIAT_CURRENCIES } from "./chains.js";
+
+export const STALE_POLICIES = ["flag", "reject"];
+
+export const DEFAULT_PRICE_CONFIG = {
+  path: "./prices.json",
+  maxAgeHours: 24,
+  stalePolicy: "flag",
+};
+
+// Price sources implement getPrice(symbol) and resolve to
+// { symbol, usd, updatedAt, source } or null when the symbol is unknown
+export class PriceProvider {
+  async getPrice(symbol) {
+    throw new Error(`${this.constructor.name} does not implement getPrice`);
+  }
+}
+
+// Prices from a JSON or CSV table that ops refresh in place; the file is
+// re-read whenever its modification time changes
+export class FilePriceProvider extends PriceProvider {
+  constructor(path) {
+    super();
+    this.path = path;
+    this.source = basename(path);
+    this.prices = new Map();
+    this.loadedMtime = null;
+  }
+
+  async getPrice(symbol) {
+    await this.refresh();
+    return this.prices.get(String(symbol || "").toUpperCase()) || null;
+  }
+
+  async refresh() {
+    let mtime;
+    try {
+      mtime = (await stat(this.path)).mtimeMs;
+    } catch (error) {
+      if (this.loadedMtime !== -1) {
+        console.warn(
+          `⚠️  Price table ${this.path} unavailable:`,
+          error.message
+        );
+      }
+      this.prices = new Map();
+      this.loadedMtime = -1;
+      return;
+    }
+
+    if (mtime === this.loadedMtime) return;
+
+    try {
+      const raw = await readFile(this.path, "utf-8");
+      this.prices = this.parse(raw);
+      console.log(`💱 Loaded ${this.prices.size} prices from ${this.path}`);
+    } catch (error) {
+      // Keep serving the last good table rather than dropping every price
+      console.warn(
+        `⚠️  Failed to load prices from ${this.path}:`,
+        error.message
+      );
+    }
+    this.loadedMtime = mtime;
+  }
+
+  parse(raw) {
+    const entries =
+      extname(this.path).toLowerCase() === ".csv"
+        ? parsePriceCsv(raw)
+        : parsePriceJson(raw);
+
+    const prices = new Map();
+    for (const entry of entries) {
+      const symbol = String(entry.symbol || "").toUpperCase();
+      const usd = Number(entry.usd);
+      const updatedAt = new Date(entry.updatedAt);
+      if (!symbol || !Number.isFinite(usd) || usd <= 0) {
+        throw new Error(
+          `Invalid price for ${entry.symbol || "unknown symbol"}`
+        );
+      }
+      if (Number.isNaN(updatedAt.getTime())) {
+        throw new Error(`Invalid updatedAt for ${symbol}`);
+      }
+      prices.set(symbol, {
+        symbol,
+        usd,
+        updatedAt: updatedAt.toISOString(),
+        source: this.source,
+      });
+    }
+    return prices;
+  }
+}
+
+// { "updatedAt": "...", "prices": { "ETH": 3200, "BTC": { "usd": 65000,
+// "updatedAt": "..." } } }; an entry's own updatedAt wins over the table's
+export function parsePriceJson(raw) {
+  const table = JSON.parse(raw);
+  if (!table || typeof table.prices !== "object") {
+    throw new Error('Price table must have a "prices" object');
+  }
+
+  return Object.entries(table.prices).map(([symbol, entry]) =>
+    typeof entry === "object" && entry !== null
+      ? {
+          symbol,
+          usd: entry.usd,
+          updatedAt: entry.updatedAt ?? table.updatedAt,
+        }
+      : { symbol, usd: entry, updatedAt: table.updatedAt }
+  );
+}
+
+// symbol,usd,updatedAt with a header row
+export function parsePriceCsv(raw) {
+  const [header, ...rows] = raw
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+  const columns = (header || "").split(",").map((column) => column.trim());
+
+  for (const column of ["symbol", "usd", "updatedAt"]) {
+    if (!columns.includes(column)) {
+      throw new Error(`Price CSV is missing the ${column} column`);
+    }
+  }
+
+  return rows.map((row) => {
+    const cells = row.split(",").map((cell) => cell.trim());
+    return Object.fromEntries(
+      columns.map((column, index) => [column, cells[index]])
+    );
+  });
+}
+
+export function normalizePriceConfig(config = {}) {
+  const normalized = { ...DEFAULT_PRICE_CONFIG, ...config };
+
+  if (!STALE_POLICIES.includes(normalized.stalePolicy)) {
+    throw new Error(
+      `Invalid stalePolicy: ${
+        normalized.stalePolicy
+      } (expected ${STALE_POLICIES.join(" or ")})`
+    );
+  }
+
+  const maxAgeHours = Number(normalized.maxAgeHours);
+  if (!Number.isFinite(maxAgeHours) || maxAgeHours <= 0) {
+    throw new Error(`Invalid maxAgeHours: ${normalized.maxAgeHours}`);
+  }
+
+  return { ...normalized, maxAgeHours };
+}
+
+// USD valuation of a ticket's value, or null when it has none. The ticket's
+// own currency is priced first, then what it is pegged to (USDC -> USD).
+// Prices older than maxAgeHours are used but flagged, or dropped under the
+// "reject" policy, leaving the ticket unpriced.
+export async function priceTicket(
+  ticket,
+  provider,
+  { maxAgeHours, stalePolicy },
+  now = Date.now()
+) {
+  const value = Number(ticket.value);
+  if (ticket.value === null || ticket.value === undefined) return null;
+  if (!Number.isFinite(value)) return null;
+
+  const currency = String(
+    ticket.asset?.symbol || ticket.currency || "USD"
+  ).toUpperCase();
+  const candidates = [...new Set([currency, ticket.asset?.peg || currency])];
+
+  const snapshot = {
+    currency,
+    value,
+    pricedIn: null,
+    usdPrice: null,
+    usdValue: null,
+    source: null,
+    updatedAt: null,
+    stale: false,
+    pricedAt: new Date(now).toISOString(),
+    reason: null,
+  };
+
+  for (const symbol of candidates) {
+    if (FIAT_CURRENCIES.includes(symbol)) {
+      return {
+        ...snapshot,
+        pricedIn: symbol,
+        usdPrice: 1,
+        usdValue: value,
+        source: "fiat",
+      };
+    }
+
+    const price = await provider.getPrice(symbol);
+    if (!price) continue;
+
+    const age = now - new Date(price.updatedAt).getTime();
+    const stale = age > maxAgeHours * 3600000;
+    if (stale && stalePolicy === "reject") {
+      return {
+        ...snapshot,
+        pricedIn: symbol,
+        source: price.source,
+        updatedAt: price.updatedAt,
+        stale,
+        reason: "stale price",
+      };
+    }
+
+    return {
+      ...snapshot,
+      pricedIn: symbol,
+      usdPrice: price.usd,
+      usdValue: value * price.usd,
+      source: price.source,
+      updatedAt: price.updatedAt,
+      stale,
+    };
+  }
+
+  return { ...snapshot, reason: "no price" };
+}
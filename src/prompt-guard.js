@@ -0,0 +1,126 @@
+"use strict";
+
+import { formatCall } from "./calldata-decoder.js";
+
+export const INJECTION_POLICIES = ["clamp", "disable"];
+
+// "clamp" still asks the LLM but only lets it raise urgency; "disable" skips
+// the LLM for flagged tickets altogether
+export const DEFAULT_PROMPT_GUARD_CONFIG = {
+  policy: "clamp",
+};
+
+export const INJECTION_TAG = "possible-prompt-injection";
+
+// Instruction-like content that has no business in a transaction ticket.
+// Matched against normalized text (see normalizeUntrusted).
+const INJECTION_PATTERNS = [
+  {
+    name: "ignore-instructions",
+    pattern:
+      /\b(ignore|disregard|forget|override|bypass|skip)\b.{0,40}\b(instructions?|prompts?|rules?|directions?|guidelines|context|analysis)\b/i,
+  },
+  {
+    name: "role-play",
+    pattern:
+      /\b(you are now|you are an?|act as|pretend (to be|you are)|role-?play|new instructions?|system prompt|developer mode|jailbreak)\b/i,
+  },
+  {
+    name: "score-directive",
+    pattern:
+      /\b(adjust(ment)?|urgency|priority|score)\b(.{0,30}(\b(should|must|needs? to) be\b|\bset\b.{0,10}\bto\b)|\s*(\b(to|of|by|is)\b|=|:)?\s*([-+]\s*\d*\.?\d+|0?\.\d+|[01]\.0+)(?!\d|\.\d|%))/i,
+  },
+  {
+    name: "response-keys",
+    pattern: /["']?\b(adjustment|rationale)\b["']?\s*[:=]/i,
+  },
+  {
+    name: "output-directive",
+    pattern:
+      /\b(respond|reply|answer|output|return|print|say)\b.{0,30}\b(only|exactly|json|with the following|nothing but)\b/i,
+  },
+  {
+    name: "suppression",
+    pattern:
+      /\b(do not|don't|never|no need to)\b.{0,30}\b(flag|escalate|mention|tag|report|review|alert)\b/i,
+  },
+  {
+    // Role labels only count at the start of a line, as in a chat
+    // transcript; "the accounting system: upgrade" is prose
+    name: "chat-markup",
+    pattern:
+      /(^|\n)\s*(#{1,4}\s*)?(system|assistant|user)\s*:|<\/?\s*(system|assistant|user|inst|ticket-data)\b|\[\/?INST\]|<<\/?SYS>>|<\|[a-z_]+\|>|```/i,
+  },
+];
+
+// Untrusted fields that end up in the LLM prompt
+const PROMPT_FIELDS = [
+  ["type", (ticket) => ticket.type],
+  ["description", (ticket) => ticket.description],
+  ["value", (ticket) => ticket.value],
+  ["currency", (ticket) => ticket.currency],
+  ["deadline", (ticket) => ticket.deadline],
+  ["recipient", (ticket) => ticket.recipient?.address],
+  ["targetChain", (ticket) => ticket.crossChain?.targetChain],
+  // Decoded string arguments are submitter-controlled too
+  ["call", (ticket) => ticket.decodedCall && formatCall(ticket.decodedCall)],
+];
+
+export function normalizePromptGuardConfig(config = {}) {
+  const normalized = { ...DEFAULT_PROMPT_GUARD_CONFIG, ...config };
+
+  if (!INJECTION_POLICIES.includes(normalized.policy)) {
+    throw new Error(
+      `Invalid promptGuard.policy: ${
+        normalized.policy
+      } (expected ${INJECTION_POLICIES.join(" or ")})`
+    );
+  }
+
+  return normalized;
+}
+
+// Folds lookalike characters (full-width letters etc.), drops zero-width and
+// control characters and collapses whitespace, so hidden text is judged as
+// the model would read it
+export function normalizeUntrusted(value) {
+  return String(value)
+    .normalize("NFKC")
+    .replace(/[\u200B-\u200F\u2060-\u2064\uFEFF\u00AD]/g, "")
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, "")
+    .replace(/[ \t\r]+/g, " ")
+    .trim();
+}
+
+// Renders an untrusted value for the prompt as a quoted string literal on
+// one line: quotes, backslashes and newlines are escaped, and so are angle
+// brackets, so it can't close the <ticket-data> block or fake chat markup
+export function quoteUntrusted(value, maxLength = 500) {
+  const text = normalizeUntrusted(value);
+  const clipped =
+    text.length > maxLength ? `${text.slice(0, maxLength)}...` : text;
+  return JSON.stringify(clipped)
+    .replace(/</g, "\\u003c")
+    .replace(/>/g, "\\u003e");
+}
+
+// Flags tickets whose prompt fields contain instruction-like content;
+// matches name the field, the pattern and an excerpt of what matched
+export function detectPromptInjection(ticket) {
+  const matches = [];
+
+  for (const [field, read] of PROMPT_FIELDS) {
+    const value = read(ticket);
+    if (value === undefined || value === null) continue;
+
+    const text = normalizeUntrusted(value);
+    for (const { name, pattern } of INJECTION_PATTERNS) {
+      const match = text.match(pattern);
+      if (match) {
+        matches.push({ field, pattern: name, excerpt: match[0].slice(0, 80) });
+      }
+    }
+  }
+
+  return { flagged: matches.length > 0, matches };
+}
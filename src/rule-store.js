@@ -0,0 +1,105 @@
+"use strict";
+
+import crypto from "crypto";
+import { normalizeRule } from "./rules-engine.js";
+
+function ruleKey(id) {
+  return `rule:${id}`;
+}
+
+// Triage rules live in Hyperbee under rule:<id>; every change bumps the
+// revision that fired rules record, so audits can tell versions apart
+export class RuleStore {
+  constructor(hbee) {
+    this.hbee = hbee;
+  }
+
+  async createRule(rule) {
+    const normalized = normalizeRule(rule);
+
+    const id = rule.id ?? crypto.randomBytes(8).toString("hex");
+    if (typeof id !== "string" || !/^[a-z0-9][a-z0-9-]{0,63}$/.test(id)) {
+      throw new Error(`Invalid rule ID: ${id}`);
+    }
+
+    if (await this.getRule(id)) {
+      throw new Error(`Rule ${id} already exists`);
+    }
+
+    const now = Date.now();
+    return this.storeRule({
+      id,
+      ...normalized,
+      revision: 1,
+      createdAt: now,
+      updatedAt: now,
+    });
+  }
+
+  async updateRule(id, changes = {}) {
+    const existing = await this.getRule(id);
+    if (!existing) {
+      throw new Error(`Rule ${id} not found`);
+    }
+
+    const normalized = normalizeRule({
+      name: changes.name ?? existing.name,
+      description: changes.description ?? existing.description,
+      enabled: changes.enabled ?? existing.enabled,
+      priority: changes.priority ?? existing.priority,
+      when: changes.when !== undefined ? changes.when : existing.when,
+      then: changes.then ?? existing.then,
+    });
+
+    return this.storeRule({
+      ...existing,
+      ...normalized,
+      revision: existing.revision + 1,
+      updatedAt: Date.now(),
+    });
+  }
+
+  async deleteRule(id) {
+    const existing = await this.getRule(id);
+    if (!existing) {
+      throw new Error(`Rule ${id} not found`);
+    }
+
+    await this.hbee.del(ruleKey(id));
+    return existing;
+  }
+
+  async storeRule(rule) {
+    await this.hbee.put(
+      ruleKey(rule.id),
+      Buffer.from(JSON.stringify(rule), "utf-8")
+    );
+    return rule;
+  }
+
+  async getRule(id) {
+    if (!id) return null;
+
+    const data = await this.hbee.get(ruleKey(id));
+    if (!data) return null;
+
+    return JSON.parse(data.value.toString("utf-8"));
+  }
+
+  async listRules() {
+    const rules = [];
+
+    for await (const { value } of this.hbee.createReadStream({
+      gte: "rule:",
+      lt: "rule;",
+    })) {
+      try {
+        rules.push(JSON.parse(value.toString("utf-8")));
+      } catch (error) {
+        console.warn("Failed to parse rule:", error.message);
+      }
+    }
+
+    return rules;
+  }
+}
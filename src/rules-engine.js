@@ -0,0 +1,321 @@
+"use strict";
+
+// Regexes run against every ticket, so `matches` only takes short patterns
+// without backreferences or repeated groups that contain a quantifier or
+// an alternation (e.g. "(a+)+" or "(a|a)+"), the shapes that backtrack
+// exponentially, and only sees the start of long fields
+const MAX_PATTERN_LENGTH = 100;
+const MAX_MATCH_INPUT = 1000;
+// g and y make test() stateful, which a shared compiled pattern can't be
+const PATTERN_FLAGS = /^[imsu]*$/;
+
+// Why a `matches` pattern is refused, or null if it is safe to run
+function unsafePattern(pattern, flags = "") {
+  if (typeof pattern !== "string") return "must be a string";
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `is longer than ${MAX_PATTERN_LENGTH} characters`;
+  }
+  if (typeof flags !== "string" || !PATTERN_FLAGS.test(flags)) {
+    return "may only use the flags i, m, s and u";
+  }
+
+  // One entry per open group: whether a quantifier or an alternation
+  // appeared inside it
+  const groups = [];
+  let inClass = false;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const group = groups[groups.length - 1];
+    if (char === "\\") {
+      if (/[1-9k]/.test(pattern[i + 1] || "")) return "uses a backreference";
+      i++;
+    } else if (inClass) {
+      if (char === "]") inClass = false;
+    } else if (char === "[") {
+      inClass = true;
+    } else if (char === "(") {
+      groups.push({ quantifier: false, alternation: false });
+    } else if (char === ")") {
+      const closed = groups.pop();
+      if (closed && /^(\*|\+|\{\d*,)/.test(pattern.slice(i + 1))) {
+        if (closed.quantifier) return "nests quantifiers";
+        if (closed.alternation) return "repeats an alternation";
+      }
+      const parent = groups[groups.length - 1];
+      if (closed && parent) {
+        parent.quantifier ||= closed.quantifier;
+        parent.alternation ||= closed.alternation;
+      }
+    } else if (char === "|") {
+      if (group) group.alternation = true;
+    } else if (
+      "*+{".includes(char) ||
+      (char === "?" && pattern[i - 1] !== "(")
+    ) {
+      if (group) group.quantifier = true;
+    }
+  }
+
+  return null;
+}
+
+// Patterns are compiled once, when a rule is saved or first evaluated;
+// unsafe ones (only possible in rules stored before they were checked)
+// are cached as null and never match
+const compiledPatterns = new Map();
+
+function compilePattern(pattern, flags = "") {
+  const key = `${flags}/${pattern}`;
+  if (!compiledPatterns.has(key)) {
+    compiledPatterns.set(
+      key,
+      unsafePattern(pattern, flags) ? null : new RegExp(pattern, flags)
+    );
+  }
+  return compiledPatterns.get(key);
+}
+
+// Leaf operators: { "field": "recipient.verified", "op": "eq", "value": false }
+const OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => typeof actual === "number" && actual > expected,
+  gte: (actual, expected) => typeof actual === "number" && actual >= expected,
+  lt: (actual, expected) => typeof actual === "number" && actual < expected,
+  lte: (actual, expected) => typeof actual === "number" && actual <= expected,
+  in: (actual, expected) => expected.includes(actual),
+  notIn: (actual, expected) => !expected.includes(actual),
+  // Arrays contain an element; strings contain a substring
+  contains: (actual, expected) =>
+    Array.isArray(actual) || typeof actual === "string"
+      ? actual.includes(expected)
+      : false,
+  matches: (actual, expected, condition) =>
+    typeof actual === "string" &&
+    compilePattern(expected, condition.flags)?.test(
+      actual.slice(0, MAX_MATCH_INPUT)
+    ) === true,
+  exists: (actual, expected) =>
+    (actual !== undefined && actual !== null) === expected,
+};
+
+const NUMERIC_OPERATORS = ["gt", "gte", "lt", "lte"];
+const LIST_OPERATORS = ["in", "notIn"];
+
+const ACTIONS = [
+  "minUrgency",
+  "maxUrgency",
+  "addTags",
+  "assignee",
+  "extraApprovals",
+];
+
+// Nesting limit so a stored rule can't blow the stack on every triage
+const MAX_CONDITION_DEPTH = 10;
+
+function validateCondition(condition, path, depth = 0) {
+  if (depth > MAX_CONDITION_DEPTH) {
+    throw new Error(`${path} is nested too deeply`);
+  }
+  if (!condition || typeof condition !== "object" || Array.isArray(condition)) {
+    throw new Error(`${path} must be an object`);
+  }
+
+  for (const combinator of ["all", "any"]) {
+    if (combinator in condition) {
+      const children = condition[combinator];
+      if (!Array.isArray(children) || children.length === 0) {
+        throw new Error(`${path}.${combinator} must be a non-empty array`);
+      }
+      children.forEach((child, index) =>
+        validateCondition(child, `${path}.${combinator}[${index}]`, depth + 1)
+      );
+      return;
+    }
+  }
+
+  if ("not" in condition) {
+    validateCondition(condition.not, `${path}.not`, depth + 1);
+    return;
+  }
+
+  const { field, op, value } = condition;
+  if (typeof field !== "string" || !field) {
+    throw new Error(`${path}.field must be a ticket field path`);
+  }
+  if (!OPERATORS[op]) {
+    throw new Error(
+      `${path}.op must be one of ${Object.keys(OPERATORS).join(", ")}`
+    );
+  }
+  if (NUMERIC_OPERATORS.includes(op) && typeof value !== "number") {
+    throw new Error(`${path}.value must be a number for ${op}`);
+  }
+  if (LIST_OPERATORS.includes(op) && !Array.isArray(value)) {
+    throw new Error(`${path}.value must be an array for ${op}`);
+  }
+  if (op === "exists" && typeof value !== "boolean") {
+    throw new Error(`${path}.value must be true or false for exists`);
+  }
+  if (op === "matches") {
+    const flags = condition.flags ?? "";
+    if (typeof flags !== "string" || !PATTERN_FLAGS.test(flags)) {
+      throw new Error(`${path}.flags may only use i, m, s and u`);
+    }
+    const reason = unsafePattern(value, condition.flags);
+    if (reason) throw new Error(`${path}.value ${reason}`);
+    try {
+      compilePattern(value, condition.flags);
+    } catch (error) {
+      throw new Error(`${path}.value is not a valid regex: ${error.message}`);
+    }
+  }
+}
+
+function validateUrgencyBound(value, name) {
+  if (typeof value !== "number" || !(value >= 0 && value <= 1)) {
+    throw new Error(`then.${name} must be a number between 0 and 1`);
+  }
+}
+
+function validateActions(actions) {
+  if (!actions || typeof actions !== "object" || Array.isArray(actions)) {
+    throw new Error("then must be an object");
+  }
+
+  const names = Object.keys(actions);
+  if (names.length === 0) {
+    throw new Error(`then needs at least one of ${ACTIONS.join(", ")}`);
+  }
+  for (const name of names) {
+    if (!ACTIONS.includes(name)) {
+      throw new Error(`Unknown rule action: ${name}`);
+    }
+  }
+
+  if ("minUrgency" in actions) {
+    validateUrgencyBound(actions.minUrgency, "minUrgency");
+  }
+  if ("maxUrgency" in actions) {
+    validateUrgencyBound(actions.maxUrgency, "maxUrgency");
+  }
+  if (
+    "addTags" in actions &&
+    (!Array.isArray(actions.addTags) ||
+      !actions.addTags.every((tag) => typeof tag === "string" && tag))
+  ) {
+    throw new Error("then.addTags must be an array of tags");
+  }
+  if (
+    "assignee" in actions &&
+    (typeof actions.assignee !== "string" || !actions.assignee)
+  ) {
+    throw new Error("then.assignee must be a non-empty string");
+  }
+  if (
+    "extraApprovals" in actions &&
+    (!Number.isInteger(actions.extraApprovals) || actions.extraApprovals < 1)
+  ) {
+    throw new Error("then.extraApprovals must be a positive integer");
+  }
+}
+
+// Checks a rule's shape; storage fields (id, revision, timestamps) are the
+// store's business
+export function normalizeRule(rule) {
+  if (!rule || typeof rule !== "object") {
+    throw new Error("Rule must be an object");
+  }
+
+  if (typeof rule.name !== "string" || !rule.name.trim()) {
+    throw new Error("Rule name is required");
+  }
+
+  const priority = Number(rule.priority ?? 100);
+  if (!Number.isInteger(priority)) {
+    throw new Error(`Invalid rule priority: ${rule.priority}`);
+  }
+
+  // A rule without a condition fires for every ticket
+  const when = rule.when ?? null;
+  if (when !== null) validateCondition(when, "when");
+  validateActions(rule.then);
+
+  return {
+    name: rule.name.trim(),
+    description: rule.description || "",
+    enabled: rule.enabled !== false,
+    priority,
+    when,
+    then: rule.then,
+  };
+}
+
+// Dot path into the ticket, e.g. "recipient.address" or "approvals.length"
+export function readField(ticket, field) {
+  return field
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), ticket);
+}
+
+export function evaluateCondition(condition, ticket) {
+  if (!condition) return true;
+  if (condition.all) {
+    return condition.all.every((child) => evaluateCondition(child, ticket));
+  }
+  if (condition.any) {
+    return condition.any.some((child) => evaluateCondition(child, ticket));
+  }
+  if (condition.not) return !evaluateCondition(condition.not, ticket);
+
+  const actual = readField(ticket, condition.field);
+  return OPERATORS[condition.op](actual, condition.value, condition);
+}
+
+// Runs enabled rules in priority order (lowest first, then by ID) against a
+// scored ticket. Urgency bounds apply in that order, so a later rule wins a
+// conflict; tags accumulate, the last assignee wins and the largest
+// extraApprovals counts. Each fired rule is returned with what it changed.
+export function applyRules(ticket, rules) {
+  const ordered = rules
+    .filter((rule) => rule.enabled)
+    .sort((a, b) => a.priority - b.priority || a.id.localeCompare(b.id));
+
+  let urgency = ticket.urgency;
+  const tags = [...(ticket.tags || [])];
+  let assignee = null;
+  let extraApprovals = 0;
+  const fired = [];
+
+  for (const rule of ordered) {
+    if (!evaluateCondition(rule.when, ticket)) continue;
+
+    const { then } = rule;
+    const before = urgency;
+    if (then.minUrgency !== undefined) {
+      urgency = Math.max(urgency, then.minUrgency);
+    }
+    if (then.maxUrgency !== undefined) {
+      urgency = Math.min(urgency, then.maxUrgency);
+    }
+
+    const addedTags = (then.addTags || []).filter((tag) => !tags.includes(tag));
+    tags.push(...addedTags);
+
+    if (then.assignee) assignee = then.assignee;
+    if (then.extraApprovals) {
+      extraApprovals = Math.max(extraApprovals, then.extraApprovals);
+    }
+
+    fired.push({
+      ruleId: rule.id,
+      name: rule.name,
+      revision: rule.revision,
+      actions: then,
+      urgency: { before, after: urgency },
+      addedTags,
+    });
+  }
+
+  return { urgency, tags, assignee, extraApprovals, fired };
+}
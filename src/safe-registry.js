@@ -0,0 +1,141 @@
+"use strict";
+
+import { getAddress } from "ethers";
+import { isAddress } from "./safe-tx.js";
+
+function safeKey(chainId, address) {
+  return `safe:${chainId}:${address.toLowerCase()}`;
+}
+
+function normalizeSafe(safe) {
+  if (!isAddress(safe.address)) {
+    throw new Error(`Invalid Safe address: ${safe.address}`);
+  }
+
+  const chainId = Number(safe.chainId);
+  if (!Number.isInteger(chainId) || chainId <= 0) {
+    throw new Error(`Invalid chainId: ${safe.chainId}`);
+  }
+
+  if (!Array.isArray(safe.owners) || safe.owners.length === 0) {
+    throw new Error("Safe owners must be a non-empty array");
+  }
+
+  const owners = [];
+  for (const owner of safe.owners) {
+    if (!isAddress(owner)) {
+      throw new Error(`Invalid owner address: ${owner}`);
+    }
+    const checksummed = getAddress(owner.toLowerCase());
+    if (!owners.includes(checksummed)) owners.push(checksummed);
+  }
+
+  const threshold = Number(safe.threshold);
+  if (
+    !Number.isInteger(threshold) ||
+    threshold < 1 ||
+    threshold > owners.length
+  ) {
+    throw new Error(
+      `Threshold must be between 1 and ${owners.length}, got ${safe.threshold}`
+    );
+  }
+
+  // Next nonce the Safe will execute on-chain; auto-assignment starts here
+  const nonce = Number(safe.nonce ?? 0);
+  if (!Number.isInteger(nonce) || nonce < 0) {
+    throw new Error(`Invalid Safe nonce: ${safe.nonce}`);
+  }
+
+  return {
+    address: getAddress(safe.address.toLowerCase()),
+    chainId,
+    owners,
+    threshold,
+    nonce,
+    label: safe.label || "",
+  };
+}
+
+export class SafeRegistry {
+  constructor(hbee) {
+    this.hbee = hbee;
+  }
+
+  async registerSafe(safe) {
+    const normalized = normalizeSafe(safe);
+
+    if (await this.getSafe(normalized.address, normalized.chainId)) {
+      throw new Error(
+        `Safe ${normalized.address} is already registered on chain ${normalized.chainId}`
+      );
+    }
+
+    const now = Date.now();
+    return this.storeSafe({ ...normalized, createdAt: now, updatedAt: now });
+  }
+
+  async updateSafe(address, chainId, changes = {}) {
+    const existing = await this.getSafe(address, chainId);
+    if (!existing) {
+      throw new Error(`Safe ${address} is not registered on chain ${chainId}`);
+    }
+
+    // Address and chain identify the Safe and can't change
+    const normalized = normalizeSafe({
+      ...existing,
+      owners: changes.owners ?? existing.owners,
+      threshold: changes.threshold ?? existing.threshold,
+      nonce: changes.nonce ?? existing.nonce,
+      label: changes.label ?? existing.label,
+    });
+
+    return this.storeSafe({
+      ...existing,
+      ...normalized,
+      updatedAt: Date.now(),
+    });
+  }
+
+  async storeSafe(safe) {
+    await this.hbee.put(
+      safeKey(safe.chainId, safe.address),
+      Buffer.from(JSON.stringify(safe), "utf-8")
+    );
+    return safe;
+  }
+
+  async getSafe(address, chainId) {
+    if (!address || !chainId) return null;
+
+    const data = await this.hbee.get(safeKey(chainId, address));
+    if (!data) return null;
+
+    return JSON.parse(data.value.toString("utf-8"));
+  }
+
+  // Every registration of an address, across chains
+  async findSafesByAddress(address) {
+    const safes = await this.listSafes();
+    return safes.filter(
+      (safe) => safe.address.toLowerCase() === address.toLowerCase()
+    );
+  }
+
+  async listSafes() {
+    const safes = [];
+
+    for await (const { value } of this.hbee.createReadStream({
+      gte: "safe:",
+      lt: "safe;",
+    })) {
+      try {
+        safes.push(JSON.parse(value.toString("utf-8")));
+      } catch (error) {
+        console.warn("Failed to parse Safe:", error.message);
+      }
+    }
+
+    return safes;
+  }
+}
@@ -0,0 +1,100 @@
+"use strict";
+
+import { formatUnits } from "ethers";
+import { isAddress, normalizeSafeTx } from "./safe-tx.js";
+
+export const SERVICE_SOURCE = "safe-transaction-service";
+
+// Accepts a multisig-transactions page ({ results: [...] }) or a bare list
+export function parseServiceTransactions(json) {
+  const transactions = Array.isArray(json) ? json : json?.results;
+  if (!Array.isArray(transactions)) {
+    throw new Error("Expected a list of Safe Transaction Service transactions");
+  }
+  return transactions;
+}
+
+function decodedParameter(dataDecoded, name) {
+  return (dataDecoded?.parameters || []).find((param) => param.name === name)
+    ?.value;
+}
+
+// Ticket fields the scorer reads: what moves, in what, and to whom
+function describeTransfer(tx, safeTx, chain) {
+  const { nativeCurrency, tokens = {} } = chain;
+
+  if (safeTx.data === "0x") {
+    return {
+      type: "transfer",
+      value: Number(formatUnits(safeTx.value, nativeCurrency.decimals)),
+      currency: nativeCurrency.symbol,
+      recipient: { address: safeTx.to },
+    };
+  }
+
+  const method = tx.dataDecoded?.method;
+  const recipient = decodedParameter(tx.dataDecoded, "to");
+  const amount = decodedParameter(tx.dataDecoded, "value");
+  const token = Object.entries(tokens).find(
+    ([, token]) => token.address.toLowerCase() === safeTx.to.toLowerCase()
+  );
+
+  if (method === "transfer" && token && isAddress(recipient) && amount) {
+    const [currency, { decimals }] = token;
+    return {
+      type: "transfer",
+      value: Number(formatUnits(amount, decimals)),
+      currency,
+      recipient: { address: recipient },
+    };
+  }
+
+  return {
+    type: method || "contract interaction",
+    recipient: { address: safeTx.to },
+  };
+}
+
+// Maps one Service transaction to the payload handleSubmitTicket expects;
+// chain is the Safe's entry from the chain registry
+export function mapServiceTransaction(tx, { chain }) {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(tx.safeTxHash || "")) {
+    throw new Error("Transaction has no valid safeTxHash");
+  }
+
+  if (!isAddress(tx.safe)) {
+    throw new Error(`Invalid Safe address: ${tx.safe}`);
+  }
+
+  const safeTx = normalizeSafeTx(tx);
+  if (safeTx.nonce === null) {
+    throw new Error("Transaction has no nonce");
+  }
+
+  const transfer = describeTransfer(tx, safeTx, chain);
+  const method = tx.dataDecoded?.method;
+
+  return {
+    ...transfer,
+    description: `${
+      method ? `${method} call` : "Transfer"
+    } queued in the Safe Transaction Service at nonce ${safeTx.nonce}`,
+    safeAddress: tx.safe,
+    chainId: chain.chainId,
+    nonce: safeTx.nonce,
+    safeTx,
+    requiredApprovals: tx.confirmationsRequired,
+    approvals: (tx.confirmations || []).map((confirmation) => ({
+      approver: confirmation.owner,
+      timestamp: confirmation.submissionDate,
+      signature: confirmation.signature,
+    })),
+    submittedBy: tx.proposer || SERVICE_SOURCE,
+    metadata: {
+      source: SERVICE_SOURCE,
+      safeTxHash: tx.safeTxHash,
+      submissionDate: tx.submissionDate,
+      dataDecoded: tx.dataDecoded || null,
+    },
+  };
+}
@@ -0,0 +1,289 @@
+"use strict";
+
+import {
+  Signature,
+  TypedDataEncoder,
+  getAddress,
+  getBytes,
+  hashMessage,
+  hexlify,
+  recoverAddress,
+} from "ethers";
+
+export const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Safe operation types
+export const OPERATION_CALL = 0;
+export const OPERATION_DELEGATECALL = 1;
+
+// EIP-712 type used by Safe >= 1.3.0 for transaction hashes
+const SAFE_TX_TYPES = {
+  SafeTx: [
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "data", type: "bytes" },
+    { name: "operation", type: "uint8" },
+    { name: "safeTxGas", type: "uint256" },
+    { name: "baseGas", type: "uint256" },
+    { name: "gasPrice", type: "uint256" },
+    { name: "gasToken", type: "address" },
+    { name: "refundReceiver", type: "address" },
+    { name: "nonce", type: "uint256" },
+  ],
+};
+
+// transfer(address,uint256)
+const ERC20_TRANSFER_SELECTOR = "a9059cbb";
+
+export function isAddress(value) {
+  return typeof value === "string" && /^0x[0-9a-fA-F]{40}$/.test(value);
+}
+
+// Decimal amount -> integer string in the token's smallest unit
+export function toBaseUnits(amount, decimals) {
+  // Avoid exponent notation for very large or small numbers
+  const text =
+    typeof amount === "number"
+      ? amount.toLocaleString("en-US", {
+          useGrouping: false,
+          maximumFractionDigits: 20,
+        })
+      : String(amount);
+  const [whole, fraction = ""] = text.split(".");
+
+  if (!/^\d+$/.test(whole) || !/^\d*$/.test(fraction)) {
+    throw new Error(`Invalid amount: ${amount}`);
+  }
+
+  if (fraction.replace(/0+$/, "").length > decimals) {
+    throw new Error(`Amount ${amount} has more than ${decimals} decimals`);
+  }
+
+  const padded = fraction.padEnd(decimals, "0").slice(0, decimals);
+  const scale = 10n ** BigInt(decimals);
+
+  return (BigInt(whole) * scale + BigInt(padded || "0")).toString();
+}
+
+function encodeWord(hex) {
+  return hex.toLowerCase().replace(/^0x/, "").padStart(64, "0");
+}
+
+export function encodeErc20Transfer(recipient, amount) {
+  return (
+    "0x" +
+    ERC20_TRANSFER_SELECTOR +
+    encodeWord(recipient) +
+    encodeWord(BigInt(amount).toString(16))
+  );
+}
+
+// Safe-compatible transaction hint, or null when the ticket can't be mapped.
+// The chain (see chains.js) supplies the native coin and token contracts.
+export function buildSafeTxHint(ticket, { chain } = {}) {
+  const recipient = ticket.recipient?.address;
+  if (!isAddress(recipient) || typeof ticket.value !== "number") {
+    return null;
+  }
+
+  const currency = (ticket.currency || "USD").toUpperCase();
+  const native = chain?.nativeCurrency;
+  const tokens = chain?.tokens || {};
+  let to;
+  let value;
+  let data;
+
+  if (native?.symbol === currency) {
+    to = recipient;
+    value = toBaseUnits(ticket.value, native.decimals);
+    data = "0x";
+  } else if (tokens[currency]) {
+    const token = tokens[currency];
+    to = token.address;
+    value = "0";
+    data = encodeErc20Transfer(
+      recipient,
+      toBaseUnits(ticket.value, token.decimals)
+    );
+  } else {
+    return null;
+  }
+
+  return {
+    to,
+    value,
+    data,
+    operation: OPERATION_CALL,
+    safeTxGas: "0",
+    baseGas: "0",
+    gasPrice: "0",
+    gasToken: ZERO_ADDRESS,
+    refundReceiver: ZERO_ADDRESS,
+    nonce: ticket.nonce ?? null,
+  };
+}
+
+function toUintString(value, field) {
+  const text = String(value ?? "0");
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid Safe transaction ${field}: ${value}`);
+  }
+  return BigInt(text).toString();
+}
+
+// Validates a Safe transaction supplied as-is (e.g. imported from the Safe
+// Transaction Service) and puts it in the same shape as a built hint
+export function normalizeSafeTx(safeTx) {
+  if (!isAddress(safeTx.to)) {
+    throw new Error(`Invalid Safe transaction target: ${safeTx.to}`);
+  }
+
+  const data = safeTx.data || "0x";
+  if (!/^0x([0-9a-fA-F]{2})*$/.test(data)) {
+    throw new Error("Safe transaction data must be hex");
+  }
+
+  const operation = Number(safeTx.operation ?? OPERATION_CALL);
+  if (operation !== OPERATION_CALL && operation !== OPERATION_DELEGATECALL) {
+    throw new Error(`Invalid Safe transaction operation: ${safeTx.operation}`);
+  }
+
+  const nonce =
+    safeTx.nonce === null || safeTx.nonce === undefined
+      ? null
+      : Number(safeTx.nonce);
+  if (nonce !== null && (!Number.isInteger(nonce) || nonce < 0)) {
+    throw new Error(`Invalid Safe transaction nonce: ${safeTx.nonce}`);
+  }
+
+  for (const field of ["gasToken", "refundReceiver"]) {
+    if (safeTx[field] && !isAddress(safeTx[field])) {
+      throw new Error(`Invalid Safe transaction ${field}: ${safeTx[field]}`);
+    }
+  }
+
+  return {
+    to: safeTx.to,
+    value: toUintString(safeTx.value, "value"),
+    data: data.toLowerCase(),
+    operation,
+    safeTxGas: toUintString(safeTx.safeTxGas, "safeTxGas"),
+    baseGas: toUintString(safeTx.baseGas, "baseGas"),
+    gasPrice: toUintString(safeTx.gasPrice, "gasPrice"),
+    gasToken: safeTx.gasToken || ZERO_ADDRESS,
+    refundReceiver: safeTx.refundReceiver || ZERO_ADDRESS,
+    nonce,
+  };
+}
+
+// Safe "rejection" is an empty call to the Safe itself at the same nonce
+export function buildRejectionTx(safeAddress, nonce) {
+  return {
+    to: safeAddress,
+    value: "0",
+    data: "0x",
+    operation: OPERATION_CALL,
+    safeTxGas: "0",
+    baseGas: "0",
+    gasPrice: "0",
+    gasToken: ZERO_ADDRESS,
+    refundReceiver: ZERO_ADDRESS,
+    nonce,
+  };
+}
+
+export function computeSafeTxHash(safeTx, { chainId, safeAddress }) {
+  if (safeTx.nonce === null || safeTx.nonce === undefined) {
+    throw new Error("Safe transaction nonce is required to compute its hash");
+  }
+
+  return TypedDataEncoder.hash(
+    { chainId, verifyingContract: getAddress(safeAddress) },
+    SAFE_TX_TYPES,
+    {
+      to: safeTx.to,
+      value: safeTx.value,
+      data: safeTx.data,
+      operation: safeTx.operation,
+      safeTxGas: safeTx.safeTxGas,
+      baseGas: safeTx.baseGas,
+      gasPrice: safeTx.gasPrice,
+      gasToken: safeTx.gasToken,
+      refundReceiver: safeTx.refundReceiver,
+      nonce: safeTx.nonce,
+    }
+  );
+}
+
+// Recovers the owner behind a Safe-style signature over safeTxHash.
+// v 27/28 signs the EIP-712 hash directly; v 31/32 is eth_sign of the hash.
+export function recoverSafeSigner(safeTxHash, signature) {
+  const bytes = getBytes(signature);
+  if (bytes.length !== 65) {
+    throw new Error("Signature must be 65 bytes");
+  }
+
+  const v = bytes[64];
+
+  if (v === 27 || v === 28) {
+    return {
+      signer: recoverAddress(safeTxHash, Signature.from(signature)),
+      signatureType: "eip712",
+    };
+  }
+
+  if (v === 31 || v === 32) {
+    bytes[64] = v - 4;
+    return {
+      signer: recoverAddress(
+        hashMessage(getBytes(safeTxHash)),
+        Signature.from(hexlify(bytes))
+      ),
+      signatureType: "eth_sign",
+    };
+  }
+
+  throw new Error(`Unsupported signature type (v = ${v})`);
+}
+
+// Annotates each vote with whether it is a valid owner signature over hash
+export function verifyVotes(votes, { safeTxHash, owners = [] }) {
+  const ownerSet = new Set(owners.map((owner) => owner.toLowerCase()));
+
+  return (votes || []).map((vote) => {
+    const checked = { ...vote };
+    delete checked.invalidReason;
+    delete checked.signer;
+    delete checked.signatureType;
+
+    try {
+      if (!safeTxHash) {
+        throw new Error("no Safe transaction hash to verify against");
+      }
+      if (!vote.signature) {
+        throw new Error("missing signature");
+      }
+
+      const { signer, signatureType } = recoverSafeSigner(
+        safeTxHash,
+        vote.signature
+      );
+      checked.signer = signer;
+      checked.signatureType = signatureType;
+
+      if (signer.toLowerCase() !== (vote.approver || "").toLowerCase()) {
+        throw new Error(`signature was made by ${signer}`);
+      }
+      if (!ownerSet.has(signer.toLowerCase())) {
+        throw new Error(`${signer} is not a Safe owner`);
+      }
+
+      checked.valid = true;
+    } catch (error) {
+      checked.valid = false;
+      checked.invalidReason = error.message;
+    }
+
+    return checked;
+  });
+}
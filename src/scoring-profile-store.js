@@ -0,0 +1,35 @@
+"use strict";
+
+function profileKey(hash) {
+  return `scoring-profile:${hash}`;
+}
+
+// Every scoring profile the server has run with, kept by content hash so a
+// ticket's score can be explained with the profile that produced it even
+// after the profile was reloaded
+export class ScoringProfileStore {
+  constructor(hbee) {
+    this.hbee = hbee;
+  }
+
+  async saveProfile(profile) {
+    // Same hash, same content: nothing to write
+    if (await this.getProfile(profile.hash)) return profile;
+
+    await this.hbee.put(
+      profileKey(profile.hash),
+      Buffer.from(JSON.stringify({ ...profile, savedAt: Date.now() }), "utf-8")
+    );
+    return profile;
+  }
+
+  async getProfile(hash) {
+    if (!hash) return null;
+
+    const data = await this.hbee.get(profileKey(hash));
+    if (!data) return null;
+
+    const { savedAt, ...profile } = JSON.parse(data.value.toString("utf-8"));
+    return profile;
+  }
+}
@@ -0,0 +1,195 @@
+"use strict";
+
+import crypto from "crypto";
+
+// Built-in scoring profile; the "scoring" section of config.json overrides
+// parts of it. Band lists and the type keyword map replace the defaults
+// wholesale, everything else is merged key by key.
+export const DEFAULT_SCORING_PROFILE = {
+  version: "default",
+  weights: {
+    value: 0.3,
+    deadline: 0.25,
+    approvals: 0.2,
+    type: 0.15,
+    recipient: 0.1,
+    nonce: 0.2, // Only present when the Safe nonce collides
+    risk: 0.25, // Only present for dangerous calls
+  },
+  // USD value bands; the first band whose "below" exceeds the value wins
+  value: {
+    unknown: 0.1,
+    bands: [
+      { below: 1000, score: 0.2 },
+      { below: 10000, score: 0.4 },
+      { below: 100000, score: 0.7 },
+      { below: 1000000, score: 0.9 },
+    ],
+    above: 1.0,
+  },
+  // Time left until the deadline, in hours
+  deadline: {
+    none: 0.3,
+    overdue: 1.0,
+    bands: [
+      { withinHours: 1, score: 0.9 },
+      { withinHours: 24, score: 0.7 },
+      { withinHours: 168, score: 0.5 },
+      { withinHours: 720, score: 0.3 },
+    ],
+    beyond: 0.1,
+  },
+  approvals: {
+    met: 0.1,
+    none: 0.9,
+    oneLeft: 0.3,
+    partial: 0.6,
+  },
+  // Keywords matched against the ticket type; the highest match wins
+  type: {
+    default: 0.3,
+    keywords: {
+      emergency: 0.9,
+      urgent: 0.9,
+      security: 0.8,
+      breach: 0.8,
+      payroll: 0.7,
+      salary: 0.7,
+      vendor: 0.5,
+      payment: 0.5,
+      treasury: 0.4,
+      investment: 0.4,
+      maintenance: 0.2,
+      upgrade: 0.2,
+      test: 0.1,
+      demo: 0.1,
+    },
+  },
+  recipient: {
+    unverified: 0.8,
+    trusted: 0.2,
+    default: 0.5,
+  },
+};
+
+const SECTIONS = [
+  "weights",
+  "value",
+  "deadline",
+  "approvals",
+  "type",
+  "recipient",
+];
+
+function assertScore(value, path) {
+  if (typeof value !== "number" || !(value >= 0 && value <= 1)) {
+    throw new Error(`scoring.${path} must be a number between 0 and 1`);
+  }
+}
+
+function assertScores(section, keys, path) {
+  for (const key of keys) assertScore(section[key], `${path}.${key}`);
+}
+
+function assertBands(bands, limitKey, path) {
+  if (!Array.isArray(bands) || bands.length === 0) {
+    throw new Error(`scoring.${path} must be a non-empty array`);
+  }
+
+  let previous = -Infinity;
+  bands.forEach((band, index) => {
+    const limit = band?.[limitKey];
+    if (typeof limit !== "number" || !(limit > previous)) {
+      throw new Error(
+        `scoring.${path}[${index}].${limitKey} must be a number greater than the previous band's`
+      );
+    }
+    assertScore(band.score, `${path}[${index}].score`);
+    previous = limit;
+  });
+}
+
+// Merges a config "scoring" section over the defaults and validates the
+// result, so a bad profile fails at startup or reload rather than mid-triage
+export function normalizeScoringProfile(config = {}) {
+  if (typeof config !== "object" || config === null || Array.isArray(config)) {
+    throw new Error("scoring must be an object");
+  }
+
+  const known = ["version", ...SECTIONS];
+  for (const key of Object.keys(config)) {
+    if (!known.includes(key)) {
+      throw new Error(`Unknown scoring setting: ${key}`);
+    }
+  }
+
+  const profile = { version: String(config.version ?? "default") };
+  for (const section of SECTIONS) {
+    profile[section] = {
+      ...DEFAULT_SCORING_PROFILE[section],
+      ...(config[section] || {}),
+    };
+  }
+
+  for (const [factor, weight] of Object.entries(profile.weights)) {
+    if (!DEFAULT_SCORING_PROFILE.weights.hasOwnProperty(factor)) {
+      throw new Error(`Unknown scoring weight: ${factor}`);
+    }
+    if (typeof weight !== "number" || !(weight >= 0)) {
+      throw new Error(
+        `scoring.weights.${factor} must be a non-negative number`
+      );
+    }
+  }
+  const baseWeight = ["value", "deadline", "approvals", "type", "recipient"]
+    .map((factor) => profile.weights[factor])
+    .reduce((sum, weight) => sum + weight, 0);
+  if (baseWeight <= 0) {
+    throw new Error(
+      "scoring.weights must give at least one base factor weight"
+    );
+  }
+
+  assertScores(profile.value, ["unknown", "above"], "value");
+  assertBands(profile.value.bands, "below", "value.bands");
+
+  assertScores(profile.deadline, ["none", "overdue", "beyond"], "deadline");
+  assertBands(profile.deadline.bands, "withinHours", "deadline.bands");
+
+  assertScores(
+    profile.approvals,
+    ["met", "none", "oneLeft", "partial"],
+    "approvals"
+  );
+
+  assertScore(profile.type.default, "type.default");
+  if (typeof profile.type.keywords !== "object" || !profile.type.keywords) {
+    throw new Error("scoring.type.keywords must be an object");
+  }
+  for (const [keyword, score] of Object.entries(profile.type.keywords)) {
+    assertScore(score, `type.keywords.${keyword}`);
+  }
+
+  assertScores(
+    profile.recipient,
+    ["unverified", "trusted", "default"],
+    "recipient"
+  );
+
+  return { ...profile, hash: hashScoringProfile(profile) };
+}
+
+// Content hash, so edited profiles are told apart even without a version bump
+export function hashScoringProfile(profile) {
+  const { hash, ...content } = profile;
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(content))
+    .digest("hex")
+    .slice(0, 12);
+}
+
+// "<version>+<hash>", recorded on every urgency breakdown
+export function profileVersion(profile) {
+  return `${profile.version}+${profile.hash}`;
+}
@@ -6,18 +6,60 @@ import Hypercore from "hypercore";
 import Hyperbee from "hyperbee";
 import crypto from "crypto";
 import { fileURLToPath } from "url";
-import { dirname, join } from "path";
+import { dirname, join, resolve } from "path";
 import { UrgencyScorer } from "./urgency-scorer.js";
 import { TicketStorage } from "./ticket-storage.js";
+import { SafeRegistry } from "./safe-registry.js";
+import { RuleStore } from "./rule-store.js";
+import { ScoringProfileStore } from "./scoring-profile-store.js";
+import { applyRules } from "./rules-engine.js";
+import { ChainRegistry } from "./chains.js";
+import { KeyedMutex } from "./keyed-mutex.js";
+import { buildTransactionBatch } from "./tx-builder-export.js";
+import { decodeTicketCall } from "./calldata-decoder.js";
+import { profileVersion } from "./scoring-profile.js";
+import { DEFAULT_PLUGIN_CONFIG, loadFactorPlugins } from "./factor-plugins.js";
+import {
+  FilePriceProvider,
+  normalizePriceConfig,
+  priceTicket,
+} from "./price-provider.js";
+import {
+  mapServiceTransaction,
+  parseServiceTransactions,
+} from "./safe-service-import.js";
+import {
+  buildRejectionTx,
+  buildSafeTxHint,
+  computeSafeTxHash,
+  isAddress,
+  normalizeSafeTx,
+  verifyVotes,
+} from "./safe-tx.js";
+import {
+  ACTIVE_STATUSES,
+  DEFAULT_REQUIRED_APPROVALS,
+  NONCE_STATUSES,
+  VOTING_STATUSES,
+  applyTransition,
+  countValidVotes,
+  initializeLifecycle,
+  requiredApprovalCount,
+} from "./ticket-lifecycle.js";
 import { readFile } from "fs/promises";
 
+const CONFIG_FILE = fileURLToPath(new URL("../config.json", import.meta.url));
+// Relative paths in config.json are relative to the file, not the cwd
+const CONFIG_DIR = dirname(CONFIG_FILE);
+
+async function loadConfigFile() {
+  const raw = await readFile(CONFIG_FILE, "utf8");
+  return JSON.parse(raw);
+}
+
 let config = {};
 try {
-  const raw = await readFile(
-    new URL("../config.json", import.meta.url),
-    "utf8"
-  );
-  config = JSON.parse(raw);
+  config = await loadConfigFile();
 } catch (err) {
   // not fatal — fall back to defaults
   console.warn(
@@ -27,6 +69,13 @@ try {
 }
 
 const DEFAULT_BOOTSTRAP_PORT = Number(config.bootstrapPort || 30001);
+const DEFAULT_CHAINS = config.chains || {};
+const DEFAULT_SAFE = config.safe || null;
+const DEFAULT_PRICES = config.prices || {};
+const DEFAULT_SCORING = config.scoring || {};
+const DEFAULT_PLUGINS = config.plugins || {};
+const DEFAULT_LLM = config.llm || {};
+const DEFAULT_PROMPT_GUARD = config.promptGuard || {};
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -36,6 +85,24 @@ const SERVICE_TOPIC = crypto
   .update("triage-rpc-service")
   .digest(); // 32 bytes
 
+// What triage derives from a ticket besides its urgency; a re-triage that
+// changes any of it is stored. The pricing time alone doesn't count.
+function triageFingerprint(ticket) {
+  const { pricedAt, ...price } = ticket.priceSnapshot || {};
+  return JSON.stringify([
+    price,
+    ticket.approvals,
+    ticket.rejections,
+    ticket.invalidSignatures,
+    ticket.nonceConflicts,
+    ticket.requiredApprovals,
+    ticket.safeTxHash,
+    ticket.tags,
+    ticket.assignee,
+    ticket.extraApprovals,
+  ]);
+}
+
 // helper: announce with retries and optional relay addresses
 async function announceWithRetry(
   dht,
@@ -66,6 +133,13 @@ class TriageServer {
       port: config.port || 40001,
       bootstrapPort: DEFAULT_BOOTSTRAP_PORT,
       dbPath: config.dbPath || join(__dirname, "../db/rpc-server"),
+      chains: DEFAULT_CHAINS,
+      safe: DEFAULT_SAFE,
+      prices: DEFAULT_PRICES,
+      scoring: DEFAULT_SCORING,
+      plugins: DEFAULT_PLUGINS,
+      llm: DEFAULT_LLM,
+      promptGuard: DEFAULT_PROMPT_GUARD,
       ...config,
     };
 
@@ -75,7 +149,26 @@ class TriageServer {
     this.hbee = null;
     this.urgencyScorer = null;
     this.ticketStorage = null;
+    this.safeRegistry = null;
+    this.ruleStore = null;
+    this.profileStore = null;
+    this.chainRegistry = null;
+    this.priceConfig = null;
+    this.priceProvider = null;
     this.scheduler = null;
+    // Background re-triage after rule changes (see scheduleRetriage)
+    this.retriage = null;
+    this.retriageQueued = false;
+    // Aborted by stop(), which abandons LLM inference still in flight
+    this.shutdown = new AbortController();
+
+    // Changes to a stored ticket are made one at a time (see withTicket),
+    // and so are nonce reservations and writes for one Safe (see
+    // handleSubmitTicket)
+    this.ticketLocks = new KeyedMutex();
+    this.safeLocks = new KeyedMutex();
+    // Nonces handed to submissions still being triaged, per Safe
+    this.reservedNonces = new Map();
 
     // stash rpc seed if needed for announce
     this._rpcSeed = null;
@@ -84,15 +177,7 @@ class TriageServer {
   async start() {
     console.log("🚀 Starting Multisig Ticket Triage Server...");
 
-    // Initialize storage
-    await this.initializeStorage();
-
-    // Initialize urgency scorer
-    this.urgencyScorer = new UrgencyScorer();
-    await this.urgencyScorer.initialize();
-
-    // Initialize ticket storage
-    this.ticketStorage = new TicketStorage(this.hbee);
+    await this.initializeServices();
 
     // Start DHT
     await this.startDHT();
@@ -111,6 +196,75 @@ class TriageServer {
     );
   }
 
+  // Everything except networking, so scripts can reuse the triage pipeline
+  async initializeServices() {
+    // Initialize storage
+    await this.initializeStorage();
+
+    // Initialize price source; any PriceProvider can replace the file table
+    this.priceConfig = normalizePriceConfig(this.config.prices);
+    this.priceProvider =
+      this.config.priceProvider ||
+      new FilePriceProvider(resolve(CONFIG_DIR, this.priceConfig.path));
+
+    // Load organization-specific urgency factors
+    const pluginConfig = { ...DEFAULT_PLUGIN_CONFIG, ...this.config.plugins };
+    const plugins = await loadFactorPlugins(
+      resolve(CONFIG_DIR, pluginConfig.directory)
+    );
+    if (plugins.length > 0) {
+      console.log(
+        `🧩 Loaded factor plugins: ${plugins
+          .map((plugin) => plugin.name)
+          .join(", ")}`
+      );
+    }
+
+    // Initialize urgency scorer; an invalid scoring profile, LLM or prompt
+    // guard config stops startup
+    this.urgencyScorer = new UrgencyScorer({
+      scoring: this.config.scoring,
+      plugins,
+      pluginTimeoutMs: pluginConfig.timeoutMs,
+      llm: this.config.llm,
+      llmProvider: this.config.llmProvider,
+      promptGuard: this.config.promptGuard,
+    });
+    await this.urgencyScorer.initialize();
+    console.log(
+      `🎚️  Scoring profile ${profileVersion(this.urgencyScorer.profile)}`
+    );
+
+    // Initialize ticket storage
+    this.ticketStorage = new TicketStorage(this.hbee);
+    const migration = await this.ticketStorage.migrateIndexes();
+    if (migration.migrated && (migration.created || migration.dropped)) {
+      console.log(
+        `🔧 Migrated ticket indexes from v${migration.from} to v${migration.version}`
+      );
+    }
+
+    // Initialize chain and Safe registries
+    this.chainRegistry = new ChainRegistry(this.config.chains);
+    this.safeRegistry = new SafeRegistry(this.hbee);
+    await this.registerDefaultSafe();
+
+    // Initialize triage rules
+    this.ruleStore = new RuleStore(this.hbee);
+
+    // Keep the scoring profile, so scores made with it can be explained
+    this.profileStore = new ScoringProfileStore(this.hbee);
+    await this.profileStore.saveProfile(this.urgencyScorer.profile);
+
+    // What factor plugins may look up beyond the ticket itself
+    this.urgencyScorer.pluginContext = {
+      ticketStorage: this.ticketStorage,
+      safeRegistry: this.safeRegistry,
+      chainRegistry: this.chainRegistry,
+      priceProvider: this.priceProvider,
+    };
+  }
+
   async initializeStorage() {
     console.log("📦 Initializing Hyperbee storage...");
 
@@ -257,132 +411,1335 @@ class TriageServer {
       }
     });
 
-    // Ping handler for testing
-    this.rpcServer.respond("ping", async (reqRaw) => {
-      const req = JSON.parse(reqRaw.toString("utf-8"));
-      const resp = { nonce: req.nonce + 1, timestamp: Date.now() };
-      return Buffer.from(JSON.stringify(resp), "utf-8");
+    // Approve ticket handler
+    this.rpcServer.respond("approveTicket", async (reqRaw) => {
+      try {
+        const req = JSON.parse(reqRaw.toString("utf-8"));
+        const result = await this.handleApproveTicket(req);
+        return Buffer.from(JSON.stringify(result), "utf-8");
+      } catch (error) {
+        return Buffer.from(
+          JSON.stringify({
+            error: error.message,
+            success: false,
+          }),
+          "utf-8"
+        );
+      }
     });
-  }
-
-  async handleSubmitTicket(req) {
-    const { ticket } = req;
-
-    if (!ticket) {
-      throw new Error("Ticket data is required");
-    }
-
-    // Generate ticket ID if not provided
-    if (!ticket.id) {
-      ticket.id = crypto.randomBytes(16).toString("hex");
-    }
 
-    // Add metadata
-    ticket.createdAt = Date.now();
-    ticket.status = "pending";
-    ticket.approvals = ticket.approvals || [];
-    ticket.requiredApprovals = ticket.requiredApprovals || 2;
-
-    // Calculate urgency score
-    const urgencyResult = await this.urgencyScorer.calculateUrgency(ticket);
-    ticket.urgency = urgencyResult.score;
-    ticket.urgencyBreakdown = urgencyResult.breakdown;
-    ticket.summary = urgencyResult.summary;
-    ticket.tags = urgencyResult.tags;
-
-    // Store ticket
-    await this.ticketStorage.storeTicket(ticket);
-
-    return {
-      success: true,
-      ticketId: ticket.id,
-      urgency: ticket.urgency,
-      summary: ticket.summary,
-      tags: ticket.tags,
-    };
-  }
-
-  async handleGetTicket(req) {
-    const { ticketId } = req;
-
-    if (!ticketId) {
-      throw new Error("Ticket ID is required");
-    }
-
-    const ticket = await this.ticketStorage.getTicket(ticketId);
-
-    if (!ticket) {
-      throw new Error("Ticket not found");
-    }
-
-    return {
-      success: true,
-      ticket,
-    };
-  }
-
-  async handleSearchTickets(req) {
-    const { startTime, endTime, minUrgency, status, limit = 50 } = req;
-
-    const tickets = await this.ticketStorage.searchTickets({
-      startTime,
-      endTime,
-      minUrgency,
-      status,
-      limit,
+    // Reject ticket handler
+    this.rpcServer.respond("rejectTicket", async (reqRaw) => {
+      try {
+        const req = JSON.parse(reqRaw.toString("utf-8"));
+        const result = await this.handleRejectTicket(req);
+        return Buffer.from(JSON.stringify(result), "utf-8");
+      } catch (error) {
+        return Buffer.from(
+          JSON.stringify({
+            error: error.message,
+            success: false,
+          }),
+          "utf-8"
+        );
+      }
     });
 
-    return {
-      success: true,
-      tickets,
-      count: tickets.length,
-    };
-  }
-
-  startScheduler() {
-    console.log("⏰ Starting scheduler for re-triaging tickets...");
+    // Transition ticket status handler
+    this.rpcServer.respond("transitionTicket", async (reqRaw) => {
+      try {
+        const req = JSON.parse(reqRaw.toString("utf-8"));
+        const result = await this.handleTransitionTicket(req);
+        return Buffer.from(JSON.stringify(result), "utf-8");
+      } catch (error) {
+        return Buffer.from(
+          JSON.stringify({
+            error: error.message,
+            success: false,
+          }),
+          "utf-8"
+        );
+      }
+    });
 
-    this.scheduler = setInterval(async () => {
+    // Register Safe handler
+    this.rpcServer.respond("registerSafe", async (reqRaw) => {
       try {
-        await this.reTriagePendingTickets();
+        const req = JSON.parse(reqRaw.toString("utf-8"));
+        const result = await this.handleRegisterSafe(req);
+        return Buffer.from(JSON.stringify(result), "utf-8");
       } catch (error) {
-        console.error("❌ Scheduler error:", error);
+        return Buffer.from(
+          JSON.stringify({
+            error: error.message,
+            success: false,
+          }),
+          "utf-8"
+        );
       }
-    }, 60000); // 60 seconds
-  }
+    });
 
-  async reTriagePendingTickets() {
-    console.log("🔄 Re-triaging pending tickets...");
+    // Update Safe handler
+    this.rpcServer.respond("updateSafe", async (reqRaw) => {
+      try {
+        const req = JSON.parse(reqRaw.toString("utf-8"));
+        const result = await this.handleUpdateSafe(req);
+        return Buffer.from(JSON.stringify(result), "utf-8");
+      } catch (error) {
+        return Buffer.from(
+          JSON.stringify({
+            error: error.message,
+            success: false,
+          }),
+          "utf-8"
+        );
+      }
+    });
 
-    const pendingTickets = await this.ticketStorage.getPendingTickets();
-    let updatedCount = 0;
+    // Get Safe handler
+    this.rpcServer.respond("getSafe", async (reqRaw) => {
+      try {
+        const req = JSON.parse(reqRaw.toString("utf-8"));
+        const result = await this.handleGetSafe(req);
+        return Buffer.from(JSON.stringify(result), "utf-8");
+      } catch (error) {
+        return Buffer.from(
+          JSON.stringify({
+            error: error.message,
+            success: false,
+          }),
+          "utf-8"
+        );
+      }
+    });
 
-    for (const ticket of pendingTickets) {
-      // Recalculate urgency
-      const urgencyResult = await this.urgencyScorer.calculateUrgency(ticket);
+    // List Safes handler
+    this.rpcServer.respond("listSafes", async (reqRaw) => {
+      try {
+        const req = JSON.parse(reqRaw.toString("utf-8"));
+        const result = await this.handleListSafes(req);
+        return Buffer.from(JSON.stringify(result), "utf-8");
+      } catch (error) {
+        return Buffer.from(
+          JSON.stringify({
+            error: error.message,
+            success: false,
+          }),
+          "utf-8"
+        );
+      }
+    });
 
-      // Update if urgency changed significantly
-      if (Math.abs(urgencyResult.score - ticket.urgency) > 0.1) {
-        ticket.urgency = urgencyResult.score;
-        ticket.urgencyBreakdown = urgencyResult.breakdown;
-        ticket.summary = urgencyResult.summary;
-        ticket.tags = urgencyResult.tags;
-        ticket.lastUpdated = Date.now();
+    // Nonce queue handler
+    this.rpcServer.respond("getNonceQueue", async (reqRaw) => {
+      try {
+        const req = JSON.parse(reqRaw.toString("utf-8"));
+        const result = await this.handleGetNonceQueue(req);
+        return Buffer.from(JSON.stringify(result), "utf-8");
+      } catch (error) {
+        return Buffer.from(
+          JSON.stringify({
+            error: error.message,
+            success: false,
+          }),
+          "utf-8"
+        );
+      }
+    });
 
-        await this.ticketStorage.updateTicket(ticket);
-        updatedCount++;
+    // Transaction Builder export handler
+    this.rpcServer.respond("exportTransactionBatch", async (reqRaw) => {
+      try {
+        const req = JSON.parse(reqRaw.toString("utf-8"));
+        const result = await this.handleExportTransactionBatch(req);
+        return Buffer.from(JSON.stringify(result), "utf-8");
+      } catch (error) {
+        return Buffer.from(
+          JSON.stringify({
+            error: error.message,
+            success: false,
+          }),
+          "utf-8"
+        );
       }
-    }
+    });
 
-    if (updatedCount > 0) {
-      console.log(`✅ Updated ${updatedCount} tickets`);
-    }
-  }
+    // Safe Transaction Service import handler
+    this.rpcServer.respond("importSafeTransactions", async (reqRaw) => {
+      try {
+        const req = JSON.parse(reqRaw.toString("utf-8"));
+        const result = await this.handleImportSafeTransactions(req);
+        return Buffer.from(JSON.stringify(result), "utf-8");
+      } catch (error) {
+        return Buffer.from(
+          JSON.stringify({
+            error: error.message,
+            success: false,
+          }),
+          "utf-8"
+        );
+      }
+    });
 
-  async stop() {
-    console.log("🛑 Stopping server...");
+    // Create rule handler
+    this.rpcServer.respond("createRule", async (reqRaw) => {
+      try {
+        const req = JSON.parse(reqRaw.toString("utf-8"));
+        const result = await this.handleCreateRule(req);
+        return Buffer.from(JSON.stringify(result), "utf-8");
+      } catch (error) {
+        return Buffer.from(
+          JSON.stringify({
+            error: error.message,
+            success: false,
+          }),
+          "utf-8"
+        );
+      }
+    });
 
-    if (this.scheduler) {
+    // Update rule handler
+    this.rpcServer.respond("updateRule", async (reqRaw) => {
+      try {
+        const req = JSON.parse(reqRaw.toString("utf-8"));
+        const result = await this.handleUpdateRule(req);
+        return Buffer.from(JSON.stringify(result), "utf-8");
+      } catch (error) {
+        return Buffer.from(
+          JSON.stringify({
+            error: error.message,
+            success: false,
+          }),
+          "utf-8"
+        );
+      }
+    });
+
+    // Delete rule handler
+    this.rpcServer.respond("deleteRule", async (reqRaw) => {
+      try {
+        const req = JSON.parse(reqRaw.toString("utf-8"));
+        const result = await this.handleDeleteRule(req);
+        return Buffer.from(JSON.stringify(result), "utf-8");
+      } catch (error) {
+        return Buffer.from(
+          JSON.stringify({
+            error: error.message,
+            success: false,
+          }),
+          "utf-8"
+        );
+      }
+    });
+
+    // Get rule handler
+    this.rpcServer.respond("getRule", async (reqRaw) => {
+      try {
+        const req = JSON.parse(reqRaw.toString("utf-8"));
+        const result = await this.handleGetRule(req);
+        return Buffer.from(JSON.stringify(result), "utf-8");
+      } catch (error) {
+        return Buffer.from(
+          JSON.stringify({
+            error: error.message,
+            success: false,
+          }),
+          "utf-8"
+        );
+      }
+    });
+
+    // List rules handler
+    this.rpcServer.respond("listRules", async (reqRaw) => {
+      try {
+        const req = JSON.parse(reqRaw.toString("utf-8"));
+        const result = await this.handleListRules(req);
+        return Buffer.from(JSON.stringify(result), "utf-8");
+      } catch (error) {
+        return Buffer.from(
+          JSON.stringify({
+            error: error.message,
+            success: false,
+          }),
+          "utf-8"
+        );
+      }
+    });
+
+    // Urgency explanation handler
+    this.rpcServer.respond("explainUrgency", async (reqRaw) => {
+      try {
+        const req = JSON.parse(reqRaw.toString("utf-8"));
+        const result = await this.handleExplainUrgency(req);
+        return Buffer.from(JSON.stringify(result), "utf-8");
+      } catch (error) {
+        return Buffer.from(
+          JSON.stringify({
+            error: error.message,
+            success: false,
+          }),
+          "utf-8"
+        );
+      }
+    });
+
+    // Scoring profile reload handler
+    this.rpcServer.respond("reloadScoringProfile", async (reqRaw) => {
+      try {
+        const req = JSON.parse(reqRaw.toString("utf-8"));
+        const result = await this.handleReloadScoringProfile(req);
+        return Buffer.from(JSON.stringify(result), "utf-8");
+      } catch (error) {
+        return Buffer.from(
+          JSON.stringify({
+            error: error.message,
+            success: false,
+          }),
+          "utf-8"
+        );
+      }
+    });
+
+    // Inference stats handler
+    this.rpcServer.respond("getInferenceStats", async (reqRaw) => {
+      try {
+        const req = JSON.parse(reqRaw.toString("utf-8"));
+        const result = await this.handleGetInferenceStats(req);
+        return Buffer.from(JSON.stringify(result), "utf-8");
+      } catch (error) {
+        return Buffer.from(
+          JSON.stringify({
+            error: error.message,
+            success: false,
+          }),
+          "utf-8"
+        );
+      }
+    });
+
+    // Ping handler for testing
+    this.rpcServer.respond("ping", async (reqRaw) => {
+      const req = JSON.parse(reqRaw.toString("utf-8"));
+      const resp = { nonce: req.nonce + 1, timestamp: Date.now() };
+      return Buffer.from(JSON.stringify(resp), "utf-8");
+    });
+  }
+
+  async handleSubmitTicket(req) {
+    const { ticket } = req;
+
+    if (!ticket) {
+      throw new Error("Ticket data is required");
+    }
+
+    // IDs are always generated here, so a submission can't replace a
+    // stored ticket
+    ticket.id = crypto.randomBytes(16).toString("hex");
+
+    // Add metadata
+    ticket.createdAt = Date.now();
+    initializeLifecycle(ticket, ticket.submittedBy);
+    ticket.approvals = ticket.approvals || [];
+    ticket.rejections = ticket.rejections || [];
+
+    // Bridge tickets may only name their source chain in metadata
+    if (!ticket.chainId && ticket.metadata?.sourceChain) {
+      ticket.chainId = this.chainRegistry.resolveChain(
+        ticket.metadata.sourceChain
+      )?.chainId;
+    }
+
+    // Threshold comes from the registered Safe, never the payload
+    const safe = await this.resolveTicketSafe(ticket);
+    if (safe) {
+      ticket.safeAddress = safe.address;
+      ticket.chainId = safe.chainId;
+      ticket.requiredApprovals = safe.threshold;
+    } else {
+      ticket.requiredApprovals = DEFAULT_REQUIRED_APPROVALS;
+    }
+
+    if (
+      ticket.requiredRejections !== undefined &&
+      !(
+        Number.isInteger(ticket.requiredRejections) &&
+        ticket.requiredRejections >= 1
+      )
+    ) {
+      throw new Error(
+        "requiredRejections must be a whole number of at least 1"
+      );
+    }
+
+    // Every ticket lives on a known chain and pays in something it has
+    ticket.chainId = Number(ticket.chainId || this.config.safe?.chainId || 1);
+    const chain = this.chainRegistry.requireChain(ticket.chainId);
+    ticket.asset = this.chainRegistry.requireCurrency(
+      chain.chainId,
+      ticket.currency || "USD"
+    );
+    ticket.crossChain = this.chainRegistry.crossChainRoute(ticket);
+    ticket.explorer = {
+      recipient: this.chainRegistry.explorerUrl(
+        chain.chainId,
+        ticket.recipient?.address
+      ),
+      safe: this.chainRegistry.explorerUrl(chain.chainId, ticket.safeAddress),
+    };
+
+    // Safe transaction hint for operators, unless the exact transaction
+    // was supplied (e.g. imported from the Safe Transaction Service)
+    ticket.safeTx = ticket.safeTx
+      ? normalizeSafeTx(ticket.safeTx)
+      : buildSafeTxHint(ticket, { chain });
+
+    // Nonces are taken and tickets stored under the Safe's lock, but triage
+    // (which may wait for the LLM) runs outside it, so submissions to one
+    // Safe are still scored concurrently
+    const lockKey = ticket.safeAddress
+      ? `${ticket.chainId}:${String(ticket.safeAddress).toLowerCase()}`
+      : null;
+    const underLock = (task) =>
+      lockKey ? this.safeLocks.runExclusive(lockKey, task) : task();
+
+    // Queue at the Safe's next free nonce unless the submitter chose one
+    let reserved = false;
+    if (safe && ticket.safeTx && ticket.safeTx.nonce === null) {
+      ticket.nonce = await underLock(() => this.reserveNonce(lockKey, safe));
+      ticket.safeTx.nonce = ticket.nonce;
+      reserved = true;
+    }
+
+    try {
+      // Verify signatures and calculate urgency score
+      await this.triageTicket(ticket);
+
+      // Signed votes submitted with the ticket count like ones cast later
+      this.applyVoteTransitions(ticket, ticket.submittedBy);
+
+      await underLock(async () => {
+        // Tickets stored while this one was triaged may share its nonce
+        const before = JSON.stringify(ticket.nonceConflicts || []);
+        await this.detectNonceConflicts(ticket);
+        if (JSON.stringify(ticket.nonceConflicts) !== before) {
+          await this.triageTicket(ticket);
+        }
+
+        // Store ticket
+        await this.ticketStorage.storeTicket(ticket);
+      });
+    } finally {
+      if (reserved) this.releaseNonce(lockKey, ticket.nonce);
+    }
+
+    // Tickets already at this nonce now conflict with it too
+    await this.refreshNonceConflicts(ticket);
+
+    return {
+      success: true,
+      ticketId: ticket.id,
+      urgency: ticket.urgency,
+      summary: ticket.summary,
+      tags: ticket.tags,
+      safeTx: ticket.safeTx,
+      safeTxHash: ticket.safeTxHash,
+      invalidSignatures: ticket.invalidSignatures,
+      nonceConflicts: ticket.nonceConflicts,
+    };
+  }
+
+  // The Safe's next nonce not held by a stored ticket or one still being
+  // submitted; call under the Safe's lock
+  async reserveNonce(lockKey, safe) {
+    let nonce = await this.ticketStorage.getNextNonce(
+      safe.address,
+      safe.chainId,
+      { statuses: NONCE_STATUSES, floor: safe.nonce || 0 }
+    );
+
+    if (!this.reservedNonces.has(lockKey)) {
+      this.reservedNonces.set(lockKey, new Set());
+    }
+    const reserved = this.reservedNonces.get(lockKey);
+    while (reserved.has(nonce)) nonce++;
+    reserved.add(nonce);
+
+    return nonce;
+  }
+
+  releaseNonce(lockKey, nonce) {
+    const reserved = this.reservedNonces.get(lockKey);
+    reserved.delete(nonce);
+    if (reserved.size === 0) this.reservedNonces.delete(lockKey);
+  }
+
+  async handleGetTicket(req) {
+    const { ticketId } = req;
+
+    if (!ticketId) {
+      throw new Error("Ticket ID is required");
+    }
+
+    const ticket = await this.ticketStorage.getTicket(ticketId);
+
+    if (!ticket) {
+      throw new Error("Ticket not found");
+    }
+
+    return {
+      success: true,
+      ticket,
+    };
+  }
+
+  async handleApproveTicket(req) {
+    return this.recordVote(req, "approvals");
+  }
+
+  async handleRejectTicket(req) {
+    return this.recordVote(req, "rejections");
+  }
+
+  async recordVote(req, kind) {
+    const { ticketId, approver, signature, reason } = req;
+
+    if (!ticketId) {
+      throw new Error("Ticket ID is required");
+    }
+
+    if (!approver) {
+      throw new Error("Approver address is required");
+    }
+
+    if (!isAddress(approver)) {
+      throw new Error(`Invalid approver address: ${approver}`);
+    }
+
+    const { ticket, recorded, approvals, rejections, required } =
+      await this.withTicket(ticketId, (ticket) =>
+        this.addVote(ticket, kind, { approver, signature, reason })
+      );
+    await this.refreshNonceConflicts(ticket);
+
+    return {
+      success: true,
+      ticketId: ticket.id,
+      status: ticket.status,
+      valid: recorded.valid,
+      invalidReason: recorded.invalidReason,
+      approvals,
+      rejections,
+      requiredApprovals: required,
+      urgency: ticket.urgency,
+      tags: ticket.tags,
+    };
+  }
+
+  // Adds one signer's vote to a ticket read by withTicket and stores it
+  async addVote(ticket, kind, { approver, signature, reason }) {
+    if (!VOTING_STATUSES.includes(ticket.status)) {
+      throw new Error(`Ticket is ${ticket.status} and no longer accepts votes`);
+    }
+
+    ticket.approvals = ticket.approvals || [];
+    ticket.rejections = ticket.rejections || [];
+
+    // One vote per signer, whichever way they voted; a vote with a bad
+    // signature can be replaced
+    const address = approver.toLowerCase();
+    const isSigner = (vote) => (vote.approver || "").toLowerCase() === address;
+    ticket.approvals = ticket.approvals.filter(
+      (vote) => vote.valid !== false || !isSigner(vote)
+    );
+    ticket.rejections = ticket.rejections.filter(
+      (vote) => vote.valid !== false || !isSigner(vote)
+    );
+    const alreadyVoted = [...ticket.approvals, ...ticket.rejections].some(
+      isSigner
+    );
+    if (alreadyVoted) {
+      throw new Error(`Approver ${approver} has already voted on this ticket`);
+    }
+
+    const vote = {
+      approver,
+      timestamp: new Date().toISOString(),
+      signature: signature || null,
+    };
+    if (reason) vote.reason = reason;
+    ticket[kind].push(vote);
+
+    // Verify signatures and refresh urgency before checking thresholds
+    await this.triageTicket(ticket);
+    const recorded = ticket[kind][ticket[kind].length - 1];
+
+    const { approvals, rejections, required } = this.applyVoteTransitions(
+      ticket,
+      approver
+    );
+
+    ticket.lastUpdated = Date.now();
+
+    await this.ticketStorage.updateTicket(ticket);
+
+    return { ticket, recorded, approvals, rejections, required };
+  }
+
+  // Reads a stored ticket and hands it to update, which writes it back.
+  // Updates of the same ticket run one at a time, so concurrent votes,
+  // transitions and re-triage can't overwrite each other. Don't update
+  // other tickets from inside update; see refreshNonceConflicts.
+  async withTicket(ticketId, update) {
+    return this.ticketLocks.runExclusive(ticketId, async () => {
+      const ticket = await this.ticketStorage.getTicket(ticketId);
+
+      if (!ticket) {
+        throw new Error("Ticket not found");
+      }
+
+      return update(ticket);
+    });
+  }
+
+  // First vote opens the review; either threshold closes it
+  applyVoteTransitions(ticket, actor) {
+    const required = requiredApprovalCount(ticket);
+    const requiredRejections =
+      ticket.requiredRejections || ticket.requiredApprovals || 2;
+    const approvals = countValidVotes(ticket.approvals);
+    const rejections = countValidVotes(ticket.rejections);
+
+    const votes = ticket.approvals.length + ticket.rejections.length;
+    if (ticket.status === "pending" && votes > 0) {
+      applyTransition(ticket, "in-review", {
+        actor,
+        reason: "first vote received",
+      });
+    }
+
+    if (approvals >= required) {
+      applyTransition(ticket, "approved", {
+        actor,
+        reason: "approval threshold met",
+      });
+    } else if (rejections >= requiredRejections) {
+      applyTransition(ticket, "rejected", {
+        actor,
+        reason: "rejection threshold met",
+      });
+    }
+
+    return { approvals, rejections, required };
+  }
+
+  async handleTransitionTicket(req) {
+    const { ticketId, status, actor, reason } = req;
+
+    if (!ticketId) {
+      throw new Error("Ticket ID is required");
+    }
+
+    if (!status) {
+      throw new Error("Target status is required");
+    }
+
+    if (!actor) {
+      throw new Error("Actor is required");
+    }
+
+    const { ticket, transition } = await this.withTicket(
+      ticketId,
+      async (ticket) => {
+        const transition = applyTransition(ticket, status, { actor, reason });
+
+        await this.triageTicket(ticket);
+        ticket.lastUpdated = transition.at;
+
+        await this.ticketStorage.updateTicket(ticket);
+        return { ticket, transition };
+      }
+    );
+    await this.refreshNonceConflicts(ticket);
+
+    return {
+      success: true,
+      ticketId: ticket.id,
+      status: ticket.status,
+      transition,
+      statusHistory: ticket.statusHistory,
+    };
+  }
+
+  async verifyTicketSignatures(ticket) {
+    const safe = await this.safeRegistry.getSafe(
+      ticket.safeAddress,
+      ticket.chainId
+    );
+    if (safe) {
+      ticket.requiredApprovals = safe.threshold;
+    }
+
+    const nonce = ticket.safeTx?.nonce;
+    const canHash = Boolean(
+      safe && ticket.safeTx && nonce !== null && nonce !== undefined
+    );
+    const domain = { chainId: safe?.chainId, safeAddress: safe?.address };
+
+    // Approvals sign the transaction; rejections sign the empty replacement
+    ticket.safeTxHash = canHash
+      ? computeSafeTxHash(ticket.safeTx, domain)
+      : null;
+    ticket.rejectionTxHash = canHash
+      ? computeSafeTxHash(buildRejectionTx(safe.address, nonce), domain)
+      : null;
+
+    const owners = safe?.owners || [];
+    ticket.approvals = verifyVotes(ticket.approvals, {
+      safeTxHash: ticket.safeTxHash,
+      owners,
+    });
+    ticket.rejections = verifyVotes(ticket.rejections, {
+      safeTxHash: ticket.rejectionTxHash,
+      owners,
+    });
+
+    ticket.invalidSignatures = [...ticket.approvals, ...ticket.rejections]
+      .filter((vote) => !vote.valid)
+      .map((vote) => ({ approver: vote.approver, reason: vote.invalidReason }));
+  }
+
+  async detectNonceConflicts(ticket) {
+    const nonce = ticket.safeTx?.nonce;
+
+    // Only queued transactions can collide; executed ones already won
+    if (
+      !ACTIVE_STATUSES.includes(ticket.status) ||
+      !ticket.safeAddress ||
+      !Number.isInteger(nonce)
+    ) {
+      ticket.nonceConflicts = [];
+      return;
+    }
+
+    const others = await this.ticketStorage.getTicketsByNonce(
+      ticket.safeAddress,
+      ticket.chainId,
+      nonce
+    );
+    ticket.nonceConflicts = others
+      .filter(
+        (other) =>
+          other.id !== ticket.id && NONCE_STATUSES.includes(other.status)
+      )
+      .map((other) => ({ ticketId: other.id, status: other.status }));
+  }
+
+  // Re-triage the other tickets at this ticket's nonce after it changed
+  async refreshNonceConflicts(ticket) {
+    const nonce = ticket.safeTx?.nonce;
+    if (!ticket.safeAddress || !Number.isInteger(nonce)) return;
+
+    const others = await this.ticketStorage.getTicketsByNonce(
+      ticket.safeAddress,
+      ticket.chainId,
+      nonce
+    );
+
+    for (const { id } of others) {
+      if (id === ticket.id) continue;
+
+      await this.withTicket(id, async (other) => {
+        if (!ACTIVE_STATUSES.includes(other.status)) return;
+
+        const before = JSON.stringify(other.nonceConflicts || []);
+        await this.triageTicket(other);
+        if (JSON.stringify(other.nonceConflicts) === before) return;
+
+        other.lastUpdated = Date.now();
+        await this.ticketStorage.updateTicket(other);
+      });
+    }
+  }
+
+  async triageTicket(ticket) {
+    await this.verifyTicketSignatures(ticket);
+    await this.detectNonceConflicts(ticket);
+    ticket.decodedCall = decodeTicketCall(ticket);
+    ticket.priceSnapshot = await priceTicket(
+      ticket,
+      this.priceProvider,
+      this.priceConfig
+    );
+
+    const urgencyResult = await this.urgencyScorer.calculateUrgency(ticket, {
+      signal: this.shutdown.signal,
+    });
+    ticket.urgency = urgencyResult.score;
+    ticket.urgencyBreakdown = urgencyResult.breakdown;
+    ticket.summary = urgencyResult.summary;
+    ticket.tags = urgencyResult.tags;
+
+    await this.applyTriageRules(ticket);
+    return urgencyResult;
+  }
+
+  // Policy rules get the last word on urgency, tags and routing
+  async applyTriageRules(ticket) {
+    const result = applyRules(ticket, await this.ruleStore.listRules());
+
+    // Extra approvals can't ask for more signers than the Safe has
+    const safe = await this.safeRegistry.getSafe(
+      ticket.safeAddress,
+      ticket.chainId
+    );
+    const extraApprovals = safe
+      ? Math.min(result.extraApprovals, safe.owners.length - safe.threshold)
+      : result.extraApprovals;
+
+    ticket.urgency = result.urgency;
+    ticket.tags = result.tags;
+    ticket.assignee = result.assignee;
+    ticket.extraApprovals = extraApprovals;
+    ticket.urgencyBreakdown.rules = result.fired;
+  }
+
+  // Re-triage open tickets (optionally only matching ones) after something
+  // they are scored against changed
+  async retriageOpenTickets(matches = () => true) {
+    let retriaged = 0;
+    for (const status of ACTIVE_STATUSES) {
+      for (const { id } of await this.ticketStorage.getTicketsByStatus(
+        status
+      )) {
+        await this.withTicket(id, async (ticket) => {
+          if (!ACTIVE_STATUSES.includes(ticket.status) || !matches(ticket)) {
+            return;
+          }
+          if (this.shutdown.signal.aborted) return;
+
+          await this.triageTicket(ticket);
+          // Don't keep a score the LLM was cut off from while stopping
+          if (this.shutdown.signal.aborted) return;
+          ticket.lastUpdated = Date.now();
+          await this.ticketStorage.updateTicket(ticket);
+          retriaged++;
+        });
+      }
+    }
+    return retriaged;
+  }
+
+  // Re-triage all open tickets after a rule change without holding up the
+  // reply; changes made while a pass runs are covered by one more pass
+  scheduleRetriage() {
+    if (this.retriage) {
+      this.retriageQueued = true;
+      return;
+    }
+
+    this.retriage = (async () => {
+      do {
+        this.retriageQueued = false;
+        try {
+          const retriaged = await this.retriageOpenTickets();
+          console.log(`🔁 Re-triaged ${retriaged} tickets after a rule change`);
+        } catch (error) {
+          console.error("❌ Rule re-triage error:", error);
+        }
+      } while (this.retriageQueued);
+      this.retriage = null;
+    })();
+  }
+
+  async registerDefaultSafe() {
+    const safe = this.config.safe;
+    if (!safe?.address) return;
+
+    // The registry is the source of truth once the Safe exists
+    if (await this.safeRegistry.getSafe(safe.address, safe.chainId)) return;
+
+    await this.safeRegistry.registerSafe({
+      ...safe,
+      threshold: safe.threshold || safe.owners?.length,
+    });
+    console.log(`🔐 Registered default Safe ${safe.address}`);
+  }
+
+  async resolveTicketSafe(ticket) {
+    if (!ticket.safeAddress) {
+      const fallback = this.config.safe;
+      if (!fallback?.address) return null;
+      // The default Safe only covers tickets on its own chain
+      if (ticket.chainId && Number(ticket.chainId) !== fallback.chainId) {
+        return null;
+      }
+      return this.safeRegistry.getSafe(fallback.address, fallback.chainId);
+    }
+
+    if (ticket.chainId) {
+      const safe = await this.safeRegistry.getSafe(
+        ticket.safeAddress,
+        ticket.chainId
+      );
+      if (!safe) {
+        throw new Error(
+          `Safe ${ticket.safeAddress} is not registered on chain ${ticket.chainId}`
+        );
+      }
+      return safe;
+    }
+
+    const matches = await this.safeRegistry.findSafesByAddress(
+      ticket.safeAddress
+    );
+    if (matches.length === 0) {
+      throw new Error(`Safe ${ticket.safeAddress} is not registered`);
+    }
+    if (matches.length > 1) {
+      throw new Error(
+        `Safe ${ticket.safeAddress} is registered on several chains; chainId is required`
+      );
+    }
+    return matches[0];
+  }
+
+  async handleRegisterSafe(req) {
+    const { safe } = req;
+
+    if (!safe) {
+      throw new Error("Safe data is required");
+    }
+
+    this.chainRegistry.requireChain(safe.chainId);
+    const registered = await this.safeRegistry.registerSafe(safe);
+
+    return {
+      success: true,
+      safe: registered,
+    };
+  }
+
+  async handleUpdateSafe(req) {
+    const { address, chainId, owners, threshold, nonce, label } = req;
+
+    if (!address || !chainId) {
+      throw new Error("Safe address and chainId are required");
+    }
+
+    const safe = await this.safeRegistry.updateSafe(address, chainId, {
+      owners,
+      threshold,
+      nonce,
+      label,
+    });
+
+    // Open tickets pick up the new owners and threshold right away
+    const retriaged = await this.retriageOpenTickets(
+      (ticket) =>
+        ticket.chainId === safe.chainId &&
+        (ticket.safeAddress || "").toLowerCase() === safe.address.toLowerCase()
+    );
+
+    return {
+      success: true,
+      safe,
+      retriaged,
+    };
+  }
+
+  async handleCreateRule(req) {
+    const { rule } = req;
+
+    if (!rule) {
+      throw new Error("Rule is required");
+    }
+
+    const created = await this.ruleStore.createRule(rule);
+    this.scheduleRetriage();
+
+    return {
+      success: true,
+      rule: created,
+    };
+  }
+
+  async handleUpdateRule(req) {
+    const { id, ...changes } = req;
+
+    if (!id) {
+      throw new Error("Rule ID is required");
+    }
+
+    const rule = await this.ruleStore.updateRule(id, changes);
+    this.scheduleRetriage();
+
+    return {
+      success: true,
+      rule,
+    };
+  }
+
+  async handleDeleteRule(req) {
+    const { id } = req;
+
+    if (!id) {
+      throw new Error("Rule ID is required");
+    }
+
+    const rule = await this.ruleStore.deleteRule(id);
+    this.scheduleRetriage();
+
+    return {
+      success: true,
+      rule,
+    };
+  }
+
+  async handleGetRule(req) {
+    const { id } = req;
+
+    if (!id) {
+      throw new Error("Rule ID is required");
+    }
+
+    const rule = await this.ruleStore.getRule(id);
+
+    if (!rule) {
+      throw new Error("Rule not found");
+    }
+
+    return {
+      success: true,
+      rule,
+    };
+  }
+
+  async handleListRules() {
+    const rules = await this.ruleStore.listRules();
+
+    return {
+      success: true,
+      rules,
+    };
+  }
+
+  async handleGetSafe(req) {
+    const { address, chainId } = req;
+
+    if (!address || !chainId) {
+      throw new Error("Safe address and chainId are required");
+    }
+
+    const safe = await this.safeRegistry.getSafe(address, chainId);
+
+    if (!safe) {
+      throw new Error("Safe not found");
+    }
+
+    return {
+      success: true,
+      safe,
+    };
+  }
+
+  async handleListSafes() {
+    const safes = await this.safeRegistry.listSafes();
+
+    return {
+      success: true,
+      safes,
+      count: safes.length,
+    };
+  }
+
+  async handleGetNonceQueue(req) {
+    const { address, chainId } = req;
+
+    let safes = await this.safeRegistry.listSafes();
+    if (address) {
+      safes = safes.filter(
+        (safe) =>
+          safe.address.toLowerCase() === address.toLowerCase() &&
+          (!chainId || safe.chainId === Number(chainId))
+      );
+      if (safes.length === 0) {
+        throw new Error("Safe not found");
+      }
+    }
+
+    const queues = [];
+    for (const safe of safes) {
+      // Tickets come back in nonce order; group the queued ones by nonce
+      const queue = [];
+      for (const ticket of await this.ticketStorage.getTicketsByNonce(
+        safe.address,
+        safe.chainId
+      )) {
+        if (!ACTIVE_STATUSES.includes(ticket.status)) continue;
+
+        const nonce = ticket.safeTx.nonce;
+        let entry = queue[queue.length - 1];
+        if (!entry || entry.nonce !== nonce) {
+          entry = { nonce, conflict: false, tickets: [] };
+          queue.push(entry);
+        }
+
+        entry.tickets.push({
+          id: ticket.id,
+          status: ticket.status,
+          urgency: ticket.urgency,
+          summary: ticket.summary,
+          safeTxHash: ticket.safeTxHash,
+          nonceConflicts: ticket.nonceConflicts || [],
+        });
+        if ((ticket.nonceConflicts || []).length > 0) entry.conflict = true;
+      }
+
+      queues.push({
+        address: safe.address,
+        chainId: safe.chainId,
+        nextNonce: await this.ticketStorage.getNextNonce(
+          safe.address,
+          safe.chainId,
+          { statuses: NONCE_STATUSES, floor: safe.nonce || 0 }
+        ),
+        queue,
+        conflicts: queue.filter((entry) => entry.conflict).length,
+      });
+    }
+
+    return {
+      success: true,
+      safes: queues,
+    };
+  }
+
+  async handleExportTransactionBatch(req) {
+    const { ticketIds, bundle = false, name, description } = req;
+
+    if (!Array.isArray(ticketIds) || ticketIds.length === 0) {
+      throw new Error("Ticket IDs are required");
+    }
+
+    const tickets = [];
+    for (const ticketId of new Set(ticketIds)) {
+      const ticket = await this.ticketStorage.getTicket(ticketId);
+      if (!ticket) {
+        throw new Error(`Ticket ${ticketId} not found`);
+      }
+      tickets.push(ticket);
+    }
+
+    const safe = await this.safeRegistry.getSafe(
+      tickets[0].safeAddress,
+      tickets[0].chainId
+    );
+
+    return {
+      success: true,
+      ...buildTransactionBatch(tickets, { safe, name, description, bundle }),
+    };
+  }
+
+  async handleImportSafeTransactions(req) {
+    const { transactions, chainId } = req;
+
+    if (!transactions) {
+      throw new Error("Transactions are required");
+    }
+
+    const imported = [];
+    const duplicates = [];
+    const skipped = [];
+
+    for (const tx of parseServiceTransactions(transactions)) {
+      const safeTxHash = tx.safeTxHash;
+
+      try {
+        if (tx.isExecuted) {
+          throw new Error("already executed");
+        }
+
+        const [existing] = safeTxHash
+          ? await this.ticketStorage.getTicketsBySafeTxHash(safeTxHash)
+          : [];
+        if (existing) {
+          duplicates.push({ safeTxHash, ticketId: existing.id });
+          continue;
+        }
+
+        // The Safe decides the chain, and with it the native coin and tokens
+        const safe = await this.resolveTicketSafe({
+          safeAddress: tx.safe,
+          chainId,
+        });
+        if (!safe) {
+          throw new Error(`Safe ${tx.safe} is not registered`);
+        }
+        const ticket = mapServiceTransaction(tx, {
+          chain: this.chainRegistry.requireChain(safe.chainId),
+        });
+
+        // A different hash means another chain or Safe version; the
+        // confirmations could never verify against our hash
+        const computed = computeSafeTxHash(ticket.safeTx, {
+          chainId: safe.chainId,
+          safeAddress: safe.address,
+        });
+        if (computed.toLowerCase() !== safeTxHash.toLowerCase()) {
+          throw new Error(
+            `safeTxHash does not match chain ${safe.chainId} (computed ${computed})`
+          );
+        }
+
+        const result = await this.handleSubmitTicket({ ticket });
+        imported.push({
+          safeTxHash,
+          ticketId: result.ticketId,
+          urgency: result.urgency,
+        });
+      } catch (error) {
+        skipped.push({ safeTxHash, reason: error.message });
+      }
+    }
+
+    return {
+      success: true,
+      imported,
+      duplicates,
+      skipped,
+    };
+  }
+
+  async handleSearchTickets(req) {
+    const { limit = 50, ...filters } = req;
+
+    const { tickets, cursor } = await this.ticketStorage.searchTicketsPage({
+      ...filters,
+      limit,
+    });
+
+    return {
+      success: true,
+      tickets,
+      count: tickets.length,
+      cursor,
+    };
+  }
+
+  startScheduler() {
+    console.log("⏰ Starting scheduler for re-triaging tickets...");
+
+    this.scheduler = setInterval(async () => {
+      try {
+        await this.reTriagePendingTickets();
+      } catch (error) {
+        console.error("❌ Scheduler error:", error);
+      }
+    }, 60000); // 60 seconds
+  }
+
+  async handleExplainUrgency(req) {
+    const { ticketId } = req;
+
+    if (!ticketId) {
+      throw new Error("Ticket ID is required");
+    }
+
+    const ticket = await this.ticketStorage.getTicket(ticketId);
+
+    if (!ticket) {
+      throw new Error("Ticket not found");
+    }
+
+    // Explain with the profile the ticket was scored with, not the current
+    // one; the hash is whatever follows the last "+" of the version
+    const hash = ticket.urgencyBreakdown?.profileVersion?.split("+").pop();
+    const profile = await this.profileStore.getProfile(hash);
+
+    return {
+      success: true,
+      explanation: this.urgencyScorer.explainUrgency(ticket, profile),
+    };
+  }
+
+  // Re-reads the "scoring" section of config.json (or takes req.scoring) and
+  // swaps it in; open tickets are re-scored on the next scheduler pass
+  async handleReloadScoringProfile(req = {}) {
+    const scoring = req.scoring ?? ((await loadConfigFile()).scoring || {});
+    const { previous, profile } = this.urgencyScorer.setProfile(scoring);
+    this.config.scoring = scoring;
+    await this.profileStore.saveProfile(profile);
+
+    const version = profileVersion(profile);
+    console.log(`🎚️  Reloaded scoring profile ${version}`);
+
+    return {
+      success: true,
+      profileVersion: version,
+      previousVersion: profileVersion(previous),
+      changed: profile.hash !== previous.hash,
+    };
+  }
+
+  // LLM inference queue depth and latency
+  async handleGetInferenceStats() {
+    return {
+      success: true,
+      stats: this.urgencyScorer.getInferenceStats(),
+    };
+  }
+
+  async reTriagePendingTickets() {
+    console.log("🔄 Re-triaging pending tickets...");
+
+    const pendingTickets = [];
+    for (const status of ACTIVE_STATUSES) {
+      pendingTickets.push(
+        ...(await this.ticketStorage.getTicketsByStatus(status))
+      );
+    }
+    let updatedCount = 0;
+
+    for (const { id } of pendingTickets) {
+      // Re-read under the ticket's lock; a vote may have landed since
+      await this.withTicket(id, async (ticket) => {
+        if (!ACTIVE_STATUSES.includes(ticket.status)) return;
+        if (this.shutdown.signal.aborted) return;
+
+        // Full triage, as on submission: prices, signatures and nonce
+        // conflicts are refreshed along with urgency and rules
+        const rescored = structuredClone(ticket);
+        const urgencyResult = await this.triageTicket(rescored);
+        // Don't keep a score the LLM was cut off from while stopping
+        if (this.shutdown.signal.aborted) return;
+
+        // Update if urgency changed significantly, the profile was reloaded
+        // or anything else triage derives changed
+        if (
+          Math.abs(rescored.urgency - ticket.urgency) > 0.1 ||
+          urgencyResult.breakdown.profileVersion !==
+            ticket.urgencyBreakdown?.profileVersion ||
+          triageFingerprint(rescored) !== triageFingerprint(ticket)
+        ) {
+          rescored.lastUpdated = Date.now();
+
+          await this.ticketStorage.updateTicket(rescored);
+          updatedCount++;
+        }
+      });
+    }
+
+    if (updatedCount > 0) {
+      console.log(`✅ Updated ${updatedCount} tickets`);
+    }
+  }
+
+  async stop() {
+    console.log("🛑 Stopping server...");
+    this.shutdown.abort(new Error("Server is stopping"));
+
+    if (this.scheduler) {
       clearInterval(this.scheduler);
     }
 
@@ -390,6 +1747,10 @@ class TriageServer {
       await this.rpcServer.close();
     }
 
+    // Let a running rule re-triage finish, but skip any queued pass
+    this.retriageQueued = false;
+    await this.retriage;
+
     if (this.dht) {
       await this.dht.destroy();
     }
@@ -0,0 +1,96 @@
+"use strict";
+
+export const TICKET_STATUSES = [
+  "pending",
+  "in-review",
+  "approved",
+  "executed",
+  "rejected",
+  "expired",
+  "cancelled",
+];
+
+// Allowed moves out of each status; terminal statuses have none
+export const TRANSITIONS = {
+  pending: ["in-review", "rejected", "expired", "cancelled"],
+  "in-review": ["approved", "rejected", "expired", "cancelled"],
+  approved: ["executed", "expired", "cancelled"],
+  executed: [],
+  rejected: [],
+  expired: [],
+  cancelled: [],
+};
+
+// Statuses that still accept approval / rejection votes
+export const VOTING_STATUSES = ["pending", "in-review"];
+
+// Approvals needed on tickets without a registered Safe to take it from
+export const DEFAULT_REQUIRED_APPROVALS = 2;
+
+// Statuses the scheduler keeps re-triaging
+export const ACTIVE_STATUSES = ["pending", "in-review", "approved"];
+
+// Statuses whose Safe transaction still holds its nonce
+export const NONCE_STATUSES = [...ACTIVE_STATUSES, "executed"];
+
+// Only votes whose signature checked out count toward a threshold
+export function countValidVotes(votes) {
+  return (votes || []).filter((vote) => vote.valid === true).length;
+}
+
+// Approvals needed to approve a ticket: the Safe threshold plus any extra
+// approvals triage rules demand
+export function requiredApprovalCount(ticket) {
+  return (
+    (ticket.requiredApprovals || DEFAULT_REQUIRED_APPROVALS) +
+    (ticket.extraApprovals || 0)
+  );
+}
+
+// Extra preconditions on entering a status; return a reason to block it
+const TRANSITION_GUARDS = {
+  approved: (ticket) => {
+    const approvals = countValidVotes(ticket.approvals);
+    const required = requiredApprovalCount(ticket);
+    if (approvals < required) {
+      return `Ticket has ${approvals}/${required} approvals`;
+    }
+    return null;
+  },
+};
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+export function initializeLifecycle(ticket, actor = "system") {
+  ticket.status = "pending";
+  ticket.statusHistory = [
+    { from: null, to: "pending", actor, at: ticket.createdAt || Date.now() },
+  ];
+}
+
+export function applyTransition(ticket, to, { actor, reason } = {}) {
+  const from = ticket.status;
+
+  if (!TICKET_STATUSES.includes(to)) {
+    throw new Error(`Unknown ticket status: ${to}`);
+  }
+
+  if (!canTransition(from, to)) {
+    throw new Error(`Illegal status transition: ${from} -> ${to}`);
+  }
+
+  const blocked = TRANSITION_GUARDS[to]?.(ticket);
+  if (blocked) {
+    throw new Error(`Cannot move ticket to ${to}: ${blocked}`);
+  }
+
+  const entry = { from, to, actor: actor || "system", at: Date.now() };
+  if (reason) entry.reason = reason;
+
+  ticket.status = to;
+  ticket.statusHistory = [...(ticket.statusHistory || []), entry];
+
+  return entry;
+}
@@ -1,153 +1,571 @@
 "use strict";
 
+// Bump whenever the index key layout changes; migrateIndexes() rebuilds
+export const INDEX_VERSION = 7;
+const INDEX_VERSION_KEY = "meta:index-version";
+
+// Offset keeps negative values sortable; 14 hex digits cover +/- 2^53
+const INT_OFFSET = 2n ** 53n;
+const INT_WIDTH = 14;
+const URGENCY_SCALE = 10000;
+const URGENCY_WIDTH = 5;
+
+// Most tickets one search page returns
+export const MAX_PAGE_SIZE = 200;
+
+// Deadline key for tickets without one; sorts after every real deadline
+const NO_DEADLINE = "f".repeat(INT_WIDTH);
+
+// Fixed-width hex so lexicographic order matches numeric order
+export function encodeInt(value) {
+  return (BigInt(Math.trunc(value)) + INT_OFFSET)
+    .toString(16)
+    .padStart(INT_WIDTH, "0");
+}
+
+export function decodeInt(encoded) {
+  return Number(BigInt(`0x${encoded}`) - INT_OFFSET);
+}
+
+// Urgency in [0, 1] as a zero-padded integer with 4 decimals of precision
+export function encodeUrgency(urgency) {
+  const clamped = Math.max(0, Math.min(1, Number(urgency) || 0));
+  return String(Math.round(clamped * URGENCY_SCALE)).padStart(
+    URGENCY_WIDTH,
+    "0"
+  );
+}
+
+export function decodeUrgency(encoded) {
+  return Number(encoded) / URGENCY_SCALE;
+}
+
+// Nonce index prefix for one Safe; addresses are case-insensitive
+function noncePrefix(safeAddress, chainId) {
+  return `index:nonce:${chainId}:${safeAddress.toLowerCase()}:`;
+}
+
+function ticketNonce(ticket) {
+  const nonce = ticket.safeTx?.nonce;
+  return Number.isInteger(nonce) && nonce >= 0 ? nonce : null;
+}
+
+// Index ranges to stream for each sortBy, in ascending display order
+const SORT_INDEXES = {
+  urgency: (filters) => [
+    {
+      gte:
+        filters.minUrgency !== null
+          ? `index:urgency:${encodeUrgency(filters.minUrgency)}:`
+          : "index:urgency:",
+      lt: "index:urgency;",
+    },
+  ],
+  createdAt: (filters) => [
+    {
+      gte:
+        filters.startTime !== null
+          ? `index:time:${encodeInt(filters.startTime)}:`
+          : "index:time:",
+      lt:
+        filters.endTime !== null
+          ? `index:time:${encodeInt(filters.endTime)};`
+          : "index:time;",
+    },
+  ],
+  deadline: (filters) => {
+    const segments = [
+      {
+        gte:
+          filters.deadlineFrom !== null
+            ? `index:deadline:${encodeInt(filters.deadlineFrom)}:`
+            : "index:deadline:",
+        lt:
+          filters.deadlineTo !== null
+            ? `index:deadline:${encodeInt(filters.deadlineTo)};`
+            : `index:deadline:${NO_DEADLINE}:`,
+      },
+    ];
+
+    // Tickets without a deadline are listed last in either order
+    if (filters.deadlineFrom === null && filters.deadlineTo === null) {
+      segments.push({
+        gte: `index:deadline:${NO_DEADLINE}:`,
+        lt: `index:deadline:${NO_DEADLINE};`,
+      });
+    }
+
+    return segments;
+  },
+};
+
+// The sort index key a ticket is listed under, per sortBy
+const SORT_KEYS = {
+  urgency: (ticket) =>
+    `index:urgency:${encodeUrgency(ticket.urgency)}:${ticket.id}`,
+  createdAt: (ticket) =>
+    `index:time:${encodeInt(ticket.createdAt || 0)}:${ticket.id}`,
+  deadline: (ticket) => {
+    const deadlineTime = toTime(ticket.deadline);
+    const deadlineKey =
+      deadlineTime !== null ? encodeInt(deadlineTime) : NO_DEADLINE;
+    return `index:deadline:${deadlineKey}:${ticket.id}`;
+  },
+};
+
+// Puts tickets already read in the order scanIndexRanges would stream them:
+// by the range their sort key falls in, then by key. Tickets outside every
+// range, or not past the cursor, are left out.
+function orderBySortKey(tickets, sortKey, ranges, reverse, after) {
+  const rangeOf = (key) =>
+    ranges.findIndex((range) => key >= range.gte && key < range.lt);
+
+  const afterRange = after !== null ? rangeOf(after) : -1;
+  if (after !== null && afterRange === -1) return [];
+
+  const isPastCursor = ({ key, range }) =>
+    after === null ||
+    range > afterRange ||
+    (range === afterRange && (reverse ? key < after : key > after));
+  const direction = reverse ? -1 : 1;
+
+  return tickets
+    .map((ticket) => {
+      const key = sortKey(ticket);
+      return { key, range: rangeOf(key), ticketId: ticket.id, ticket };
+    })
+    .filter((entry) => entry.range !== -1 && isPastCursor(entry))
+    .sort(
+      (a, b) =>
+        a.range - b.range ||
+        (a.key < b.key ? -1 : a.key > b.key ? 1 : 0) * direction
+    );
+}
+
+function encodeCursor(key, sortBy, order) {
+  return Buffer.from(JSON.stringify({ key, sortBy, order }), "utf-8").toString(
+    "base64url"
+  );
+}
+
+function decodeCursor(cursor, sortBy, order) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"));
+  } catch (error) {
+    throw new Error("Invalid cursor");
+  }
+
+  if (typeof decoded.key !== "string") {
+    throw new Error("Invalid cursor");
+  }
+
+  if (decoded.sortBy !== sortBy || decoded.order !== order) {
+    throw new Error("Cursor does not match the requested sort order");
+  }
+
+  return decoded.key;
+}
+
+function toTime(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const time = typeof value === "number" ? value : new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+}
+
+function isUnset(value) {
+  return value === undefined || value === null || value === "";
+}
+
+function stringFilter(options, name) {
+  const value = options[name];
+  if (isUnset(value)) return null;
+  if (typeof value !== "string") throw new Error(`${name} must be a string`);
+  return value;
+}
+
+function timeFilter(options, name) {
+  const value = options[name];
+  if (isUnset(value)) return null;
+  const time = toTime(value);
+  if (time === null) {
+    throw new Error(`${name} must be a date string or milliseconds`);
+  }
+  return time;
+}
+
+function numberFilter(options, name) {
+  const value = options[name];
+  if (isUnset(value)) return null;
+  const number = Number(value);
+  if (typeof value === "boolean" || !Number.isFinite(number)) {
+    throw new Error(`${name} must be a number`);
+  }
+  return number;
+}
+
+// Page size between 1 and MAX_PAGE_SIZE; larger limits are clamped
+function normalizeLimit(limit) {
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error(`limit must be a whole number of at least 1: ${limit}`);
+  }
+  return Math.min(limit, MAX_PAGE_SIZE);
+}
+
+// Filter options checked and normalized; wrong types fail here rather
+// than deep inside a search
+function normalizeFilters(options) {
+  const tags = options.tags ?? [];
+  const tagList = Array.isArray(tags) ? tags : [tags];
+  if (!tagList.every((tag) => typeof tag === "string")) {
+    throw new Error("tags must be a string or an array of strings");
+  }
+
+  const chainId = numberFilter(options, "chainId");
+  if (chainId !== null && !(Number.isInteger(chainId) && chainId > 0)) {
+    throw new Error(`chainId must be a positive integer: ${chainId}`);
+  }
+
+  return {
+    startTime: timeFilter(options, "startTime"),
+    endTime: timeFilter(options, "endTime"),
+    minUrgency: numberFilter(options, "minUrgency"),
+    status: stringFilter(options, "status"),
+    type: stringFilter(options, "type"),
+    tags: tagList,
+    recipient: stringFilter(options, "recipient")?.toLowerCase() ?? null,
+    currency: stringFilter(options, "currency")?.toUpperCase() ?? null,
+    chainId,
+    deadlineFrom: timeFilter(options, "deadlineFrom"),
+    deadlineTo: timeFilter(options, "deadlineTo"),
+  };
+}
+
+function matchesFilters(ticket, filters) {
+  const createdAt = ticket.createdAt || 0;
+  if (filters.startTime !== null && createdAt < filters.startTime) {
+    return false;
+  }
+  if (filters.endTime !== null && createdAt > filters.endTime) return false;
+
+  if (filters.minUrgency !== null && !(ticket.urgency >= filters.minUrgency)) {
+    return false;
+  }
+
+  if (filters.status && ticket.status !== filters.status) return false;
+  if (filters.type && ticket.type !== filters.type) return false;
+
+  const tags = ticket.tags || [];
+  if (!filters.tags.every((tag) => tags.includes(tag))) return false;
+
+  if (
+    filters.recipient &&
+    (ticket.recipient?.address || "").toLowerCase() !== filters.recipient
+  ) {
+    return false;
+  }
+
+  if (
+    filters.currency &&
+    (ticket.currency || "USD").toUpperCase() !== filters.currency
+  ) {
+    return false;
+  }
+
+  if (filters.chainId !== null && Number(ticket.chainId) !== filters.chainId) {
+    return false;
+  }
+
+  if (filters.deadlineFrom !== null || filters.deadlineTo !== null) {
+    const deadline = toTime(ticket.deadline);
+    if (deadline === null) return false;
+    if (filters.deadlineFrom !== null && deadline < filters.deadlineFrom) {
+      return false;
+    }
+    if (filters.deadlineTo !== null && deadline > filters.deadlineTo) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
 export class TicketStorage {
   constructor(hbee) {
     this.hbee = hbee;
   }
 
+  // A ticket stored under an id that is already taken replaces the stored
+  // one like an update, so the old index rows go with it
+  // Inserts a new ticket; stored ones only change through updateTicket
   async storeTicket(ticket) {
+    if (await this.getTicket(ticket.id)) {
+      throw new Error(`Ticket ${ticket.id} already exists`);
+    }
+    return this.writeTicket(ticket, null);
+  }
+
+  async getTicket(ticketId, db = this.hbee) {
+    const data = await db.get(`ticket:${ticketId}`);
+    if (!data) return null;
+
+    return JSON.parse(data.value.toString("utf-8"));
+  }
+
+  async updateTicket(ticket) {
+    return this.writeTicket(ticket, await this.getTicket(ticket.id));
+  }
+
+  async writeTicket(ticket, previous) {
+    // Only touch index entries whose key actually changed
+    const oldKeys = new Set(previous ? this.getIndexKeys(previous) : []);
+    const newKeys = new Set(this.getIndexKeys(ticket));
+
     const ticketData = {
       ...ticket,
       storedAt: Date.now(),
     };
 
-    // Store main ticket data
-    await this.hbee.put(
+    // Single batch so the record and its indexes commit together
+    const batch = this.hbee.batch();
+
+    await batch.put(
       `ticket:${ticket.id}`,
       Buffer.from(JSON.stringify(ticketData), "utf-8")
     );
 
-    // Create indexes for efficient querying
-    await this.createIndexes(ticket);
-
-    return ticket.id;
-  }
+    for (const key of oldKeys) {
+      if (!newKeys.has(key)) await batch.del(key);
+    }
 
-  async getTicket(ticketId) {
-    const data = await this.hbee.get(`ticket:${ticketId}`);
-    if (!data) return null;
+    for (const key of newKeys) {
+      if (!oldKeys.has(key)) await batch.put(key, Buffer.from("1", "utf-8"));
+    }
 
-    return JSON.parse(data.value.toString("utf-8"));
-  }
+    await batch.flush();
 
-  async updateTicket(ticket) {
-    return this.storeTicket(ticket);
+    return ticket.id;
   }
 
-  async createIndexes(ticket) {
-    const timestamp = ticket.createdAt || Date.now();
+  getIndexKeys(ticket) {
+    const keys = [];
 
     // Index by creation time
-    await this.hbee.put(
-      `index:time:${timestamp}:${ticket.id}`,
-      Buffer.from("1", "utf-8")
-    );
+    keys.push(SORT_KEYS.createdAt(ticket));
 
-    // Index by urgency score (rounded to 1 decimal)
-    const urgencyKey = Math.round(ticket.urgency * 10) / 10;
-    await this.hbee.put(
-      `index:urgency:${urgencyKey}:${ticket.id}`,
-      Buffer.from("1", "utf-8")
-    );
+    // Index by urgency score
+    keys.push(SORT_KEYS.urgency(ticket));
 
     // Index by status
-    await this.hbee.put(
-      `index:status:${ticket.status}:${ticket.id}`,
-      Buffer.from("1", "utf-8")
-    );
+    keys.push(`index:status:${ticket.status}:${ticket.id}`);
 
     // Index by type
     if (ticket.type) {
-      await this.hbee.put(
-        `index:type:${ticket.type}:${ticket.id}`,
-        Buffer.from("1", "utf-8")
+      keys.push(`index:type:${ticket.type}:${ticket.id}`);
+    }
+
+    // Index by tag
+    for (const tag of new Set(ticket.tags || [])) {
+      keys.push(`index:tag:${tag}:${ticket.id}`);
+    }
+
+    // Index by deadline; tickets without one go under NO_DEADLINE
+    keys.push(SORT_KEYS.deadline(ticket));
+
+    // Index by recipient address
+    if (ticket.recipient?.address) {
+      keys.push(
+        `index:recipient:${ticket.recipient.address.toLowerCase()}:${ticket.id}`
       );
     }
 
-    // Index by deadline (if exists)
-    if (ticket.deadline) {
-      const deadlineTime = new Date(ticket.deadline).getTime();
-      await this.hbee.put(
-        `index:deadline:${deadlineTime}:${ticket.id}`,
-        Buffer.from("1", "utf-8")
+    // Index by chain
+    if (ticket.chainId) {
+      keys.push(`index:chain:${ticket.chainId}:${ticket.id}`);
+    }
+
+    // Index by Safe nonce (if the transaction has one)
+    const nonce = ticketNonce(ticket);
+    if (ticket.safeAddress && ticket.chainId && nonce !== null) {
+      keys.push(
+        `${noncePrefix(ticket.safeAddress, ticket.chainId)}${encodeInt(
+          nonce
+        )}:${ticket.id}`
       );
     }
+
+    // Index by Safe transaction hash (if it could be computed)
+    if (ticket.safeTxHash) {
+      keys.push(`index:safetx:${ticket.safeTxHash.toLowerCase()}:${ticket.id}`);
+    }
+
+    return keys;
+  }
+
+  async createIndexes(ticket, db = this.hbee) {
+    for (const key of this.getIndexKeys(ticket)) {
+      await db.put(key, Buffer.from("1", "utf-8"));
+    }
   }
 
   async searchTickets(options = {}) {
-    const { startTime, endTime, minUrgency, status, limit = 50 } = options;
+    const { tickets } = await this.searchTicketsPage(options);
+    return tickets;
+  }
+
+  async searchTicketsPage(options = {}) {
+    const { limit = 50, sortBy = "urgency", order = "desc", cursor } = options;
+
+    if (!Object.hasOwn(SORT_INDEXES, sortBy)) {
+      throw new Error(`Unsupported sortBy: ${sortBy}`);
+    }
+
+    if (order !== "asc" && order !== "desc") {
+      throw new Error(`Unsupported order: ${order}`);
+    }
 
+    const pageSize = normalizeLimit(limit);
+    const filters = normalizeFilters(options);
+    if (!isUnset(cursor) && typeof cursor !== "string") {
+      throw new Error("Invalid cursor");
+    }
+    const after = cursor ? decodeCursor(cursor, sortBy, order) : null;
+
+    // Snapshot so every page read sees one consistent version of the bee
+    const snapshot = this.hbee.snapshot();
     const tickets = [];
-    const seenIds = new Set();
-
-    // Search by time range
-    if (startTime || endTime) {
-      const timeTickets = await this.searchByTimeRange(startTime, endTime);
-      for (const ticketId of timeTickets) {
-        if (!seenIds.has(ticketId)) {
-          seenIds.add(ticketId);
-          const ticket = await this.getTicket(ticketId);
-          if (ticket) tickets.push(ticket);
+    let lastKey = null;
+    let hasMore = false;
+
+    try {
+      const ranges = SORT_INDEXES[sortBy](filters);
+      const reverse = order === "desc";
+
+      // Equality filters narrow the candidates through their own indexes,
+      // and only those tickets are read and ordered; without any, the sort
+      // index is walked until the page is full
+      const candidateIds = await this.findCandidateIds(snapshot, filters);
+      let entries;
+      if (candidateIds) {
+        const candidates = [];
+        for (const ticketId of candidateIds) {
+          const ticket = await this.getTicket(ticketId, snapshot);
+          if (ticket) candidates.push(ticket);
         }
+        entries = orderBySortKey(
+          candidates,
+          SORT_KEYS[sortBy],
+          ranges,
+          reverse,
+          after
+        );
+      } else {
+        entries = this.scanIndexRanges(snapshot, ranges, reverse, after);
       }
-    }
 
-    // Search by minimum urgency
-    if (minUrgency !== undefined) {
-      const urgencyTickets = await this.searchByMinUrgency(minUrgency);
-      for (const ticketId of urgencyTickets) {
-        if (!seenIds.has(ticketId)) {
-          seenIds.add(ticketId);
-          const ticket = await this.getTicket(ticketId);
-          if (ticket) tickets.push(ticket);
+      for await (const { key, ticketId, ticket: read } of entries) {
+        const ticket = read || (await this.getTicket(ticketId, snapshot));
+        if (!ticket || !matchesFilters(ticket, filters)) continue;
+
+        if (tickets.length === pageSize) {
+          hasMore = true;
+          break;
         }
+
+        tickets.push(ticket);
+        lastKey = key;
       }
+    } finally {
+      await snapshot.close();
     }
 
-    // Search by status
-    if (status) {
-      const statusTickets = await this.searchByStatus(status);
-      for (const ticketId of statusTickets) {
-        if (!seenIds.has(ticketId)) {
-          seenIds.add(ticketId);
-          const ticket = await this.getTicket(ticketId);
-          if (ticket) tickets.push(ticket);
-        }
+    return {
+      tickets,
+      cursor: hasMore ? encodeCursor(lastKey, sortBy, order) : null,
+    };
+  }
+
+  // Ids listed under every equality filter given (status, type, each tag,
+  // recipient, chain), or null when there is none
+  async findCandidateIds(db, filters) {
+    const lookups = [];
+    if (filters.status) lookups.push(`status:${filters.status}`);
+    if (filters.type) lookups.push(`type:${filters.type}`);
+    for (const tag of filters.tags) lookups.push(`tag:${tag}`);
+    if (filters.recipient) lookups.push(`recipient:${filters.recipient}`);
+    if (filters.chainId !== null) lookups.push(`chain:${filters.chainId}`);
+    if (lookups.length === 0) return null;
+
+    let ticketIds = null;
+    for (const lookup of lookups) {
+      const prefix = `index:${lookup}:`;
+      const found = new Set();
+      for await (const { key } of db.createReadStream({
+        gte: prefix,
+        lt: `index:${lookup};`,
+      })) {
+        const ticketId = key.toString("utf-8").slice(prefix.length);
+        if (ticketIds === null || ticketIds.has(ticketId)) found.add(ticketId);
       }
-    }
 
-    // If no specific filters, get all tickets
-    if (!startTime && !endTime && minUrgency === undefined && !status) {
-      const allTickets = await this.getAllTickets();
-      tickets.push(...allTickets);
+      ticketIds = found;
+      if (ticketIds.size === 0) break;
     }
 
-    // Sort by urgency (descending) and creation time (descending)
-    tickets.sort((a, b) => {
-      if (a.urgency !== b.urgency) {
-        return b.urgency - a.urgency;
+    return ticketIds;
+  }
+
+  async *scanIndexRanges(db, ranges, reverse, after = null) {
+    let seeking = after !== null;
+
+    for (const range of ranges) {
+      const bounds = { gte: range.gte, lt: range.lt };
+
+      // Skip ranges before the cursor, then resume just past it
+      if (seeking) {
+        if (after < range.gte || after >= range.lt) continue;
+        seeking = false;
+        if (reverse) {
+          bounds.lt = after;
+        } else {
+          delete bounds.gte;
+          bounds.gt = after;
+        }
       }
-      return b.createdAt - a.createdAt;
-    });
 
-    return tickets.slice(0, limit);
+      for await (const { key } of db.createReadStream({
+        ...bounds,
+        reverse,
+      })) {
+        const keyStr = key.toString("utf-8");
+        yield {
+          key: keyStr,
+          ticketId: keyStr.slice(keyStr.lastIndexOf(":") + 1),
+        };
+      }
+    }
   }
 
   async searchByTimeRange(startTime, endTime) {
     const ticketIds = [];
 
-    const startKey = startTime ? `index:time:${startTime}` : "index:time:";
-    const endKey = endTime ? `index:time:${endTime}` : "index:time:~";
+    // ";" sorts right after ":", so it closes the range for a value
+    const startKey = startTime
+      ? `index:time:${encodeInt(startTime)}:`
+      : "index:time:";
+    const endKey = endTime
+      ? `index:time:${encodeInt(endTime)};`
+      : "index:time;";
 
     for await (const { key, value } of this.hbee.createReadStream({
       gte: startKey,
-      lte: endKey,
+      lt: endKey,
     })) {
       const keyStr = key.toString("utf-8");
       if (keyStr.startsWith("index:time:")) {
         const parts = keyStr.split(":");
-        if (parts.length >= 3) {
-          ticketIds.push(parts[2]);
+        if (parts.length >= 4) {
+          ticketIds.push(parts[3]);
         }
       }
     }
@@ -159,14 +577,14 @@ export class TicketStorage {
     const ticketIds = [];
 
     for await (const { key, value } of this.hbee.createReadStream({
-      gte: `index:urgency:${minUrgency}`,
-      lte: "index:urgency:~",
+      gte: `index:urgency:${encodeUrgency(minUrgency)}:`,
+      lt: "index:urgency;",
     })) {
       const keyStr = key.toString("utf-8");
       if (keyStr.startsWith("index:urgency:")) {
         const parts = keyStr.split(":");
-        if (parts.length >= 3) {
-          ticketIds.push(parts[2]);
+        if (parts.length >= 4) {
+          ticketIds.push(parts[3]);
         }
       }
     }
@@ -184,8 +602,8 @@ export class TicketStorage {
       const keyStr = key.toString("utf-8");
       if (keyStr.startsWith(`index:status:${status}:`)) {
         const parts = keyStr.split(":");
-        if (parts.length >= 3) {
-          ticketIds.push(parts[2]);
+        if (parts.length >= 4) {
+          ticketIds.push(parts[3]);
         }
       }
     }
@@ -215,7 +633,11 @@ export class TicketStorage {
   }
 
   async getPendingTickets() {
-    const ticketIds = await this.searchByStatus("pending");
+    return this.getTicketsByStatus("pending");
+  }
+
+  async getTicketsByStatus(status) {
+    const ticketIds = await this.searchByStatus(status);
     const tickets = [];
     for (const ticketId of ticketIds) {
       const ticket = await this.getTicket(ticketId);
@@ -229,13 +651,13 @@ export class TicketStorage {
 
     for await (const { key, value } of this.hbee.createReadStream({
       gte: "index:deadline:",
-      lte: `index:deadline:${deadlineThreshold}`,
+      lt: `index:deadline:${encodeInt(deadlineThreshold)};`,
     })) {
       const keyStr = key.toString("utf-8");
       if (keyStr.startsWith("index:deadline:")) {
         const parts = keyStr.split(":");
-        if (parts.length >= 3) {
-          ticketIds.push(parts[2]);
+        if (parts.length >= 4) {
+          ticketIds.push(parts[3]);
         }
       }
     }
@@ -249,6 +671,73 @@ export class TicketStorage {
     return tickets;
   }
 
+  // Tickets of one Safe ordered by nonce, optionally limited to one nonce
+  async getTicketsByNonce(safeAddress, chainId, nonce = null) {
+    const prefix = noncePrefix(safeAddress, chainId);
+    const gte = nonce !== null ? `${prefix}${encodeInt(nonce)}:` : prefix;
+    const lt = nonce !== null ? `${prefix}${encodeInt(nonce)};` : `${prefix};`;
+
+    const tickets = [];
+    for await (const { key } of this.hbee.createReadStream({ gte, lt })) {
+      const keyStr = key.toString("utf-8");
+      const ticket = await this.getTicket(keyStr.split(":")[5]);
+      if (ticket) tickets.push(ticket);
+    }
+
+    return tickets;
+  }
+
+  async getTicketsByChain(chainId) {
+    const tickets = [];
+
+    for await (const { key } of this.hbee.createReadStream({
+      gte: `index:chain:${chainId}:`,
+      lt: `index:chain:${chainId};`,
+    })) {
+      const keyStr = key.toString("utf-8");
+      const ticket = await this.getTicket(keyStr.split(":")[3]);
+      if (ticket) tickets.push(ticket);
+    }
+
+    return tickets;
+  }
+
+  async getTicketsBySafeTxHash(safeTxHash) {
+    const prefix = `index:safetx:${safeTxHash.toLowerCase()}:`;
+
+    const tickets = [];
+    for await (const { key } of this.hbee.createReadStream({
+      gte: prefix,
+      lt: `index:safetx:${safeTxHash.toLowerCase()};`,
+    })) {
+      const keyStr = key.toString("utf-8");
+      const ticket = await this.getTicket(keyStr.slice(prefix.length));
+      if (ticket) tickets.push(ticket);
+    }
+
+    return tickets;
+  }
+
+  // One past the highest nonce still held by a ticket of the Safe
+  async getNextNonce(safeAddress, chainId, { statuses, floor = 0 } = {}) {
+    const prefix = noncePrefix(safeAddress, chainId);
+
+    for await (const { key } of this.hbee.createReadStream({
+      gte: prefix,
+      lt: `${prefix};`,
+      reverse: true,
+    })) {
+      const parts = key.toString("utf-8").split(":");
+      const ticket = await this.getTicket(parts[5]);
+      if (!ticket || (statuses && !statuses.includes(ticket.status))) {
+        continue;
+      }
+      return Math.max(floor, decodeInt(parts[4]) + 1);
+    }
+
+    return floor;
+  }
+
   async getTicketStats() {
     const stats = {
       total: 0,
@@ -292,37 +781,119 @@ export class TicketStorage {
     const ticket = await this.getTicket(ticketId);
     if (!ticket) return false;
 
+    const batch = this.hbee.batch();
+
     // Delete main ticket
-    await this.hbee.del(`ticket:${ticketId}`);
+    await batch.del(`ticket:${ticketId}`);
 
     // Delete indexes
-    await this.deleteIndexes(ticket);
+    await this.deleteIndexes(ticket, batch);
+
+    await batch.flush();
 
     return true;
   }
 
-  async deleteIndexes(ticket) {
-    const timestamp = ticket.createdAt;
-    const urgencyKey = Math.round(ticket.urgency * 10) / 10;
+  async deleteIndexes(ticket, db = this.hbee) {
+    for (const key of this.getIndexKeys(ticket)) {
+      await db.del(key);
+    }
+  }
 
-    // Delete time index
-    await this.hbee.del(`index:time:${timestamp}:${ticket.id}`);
+  async migrateIndexes() {
+    const stored = await this.hbee.get(INDEX_VERSION_KEY);
+    const version = stored ? Number(stored.value.toString("utf-8")) : 1;
 
-    // Delete urgency index
-    await this.hbee.del(`index:urgency:${urgencyKey}:${ticket.id}`);
+    if (version === INDEX_VERSION) {
+      return { migrated: false, version };
+    }
 
-    // Delete status index
-    await this.hbee.del(`index:status:${ticket.status}:${ticket.id}`);
+    // Older layouts can't be translated key by key; rewrite from tickets
+    const batch = this.hbee.batch();
+    let dropped = 0;
+    let created = 0;
 
-    // Delete type index
-    if (ticket.type) {
-      await this.hbee.del(`index:type:${ticket.type}:${ticket.id}`);
+    for await (const { key } of this.hbee.createReadStream({
+      gte: "index:",
+      lt: "index;",
+    })) {
+      await batch.del(key);
+      dropped++;
     }
 
-    // Delete deadline index
-    if (ticket.deadline) {
-      const deadlineTime = new Date(ticket.deadline).getTime();
-      await this.hbee.del(`index:deadline:${deadlineTime}:${ticket.id}`);
+    for (const ticket of await this.getAllTickets()) {
+      for (const key of this.getIndexKeys(ticket)) {
+        await batch.put(key, Buffer.from("1", "utf-8"));
+        created++;
+      }
+    }
+
+    await batch.put(
+      INDEX_VERSION_KEY,
+      Buffer.from(String(INDEX_VERSION), "utf-8")
+    );
+    await batch.flush();
+
+    return {
+      migrated: true,
+      from: version,
+      version: INDEX_VERSION,
+      dropped,
+      created,
+    };
+  }
+
+  async verifyIndexes() {
+    // Index keys every stored ticket should have
+    const expected = new Set();
+    let tickets = 0;
+    for (const ticket of await this.getAllTickets()) {
+      tickets++;
+      for (const key of this.getIndexKeys(ticket)) {
+        expected.add(key);
+      }
+    }
+
+    const actual = new Set();
+    for await (const { key } of this.hbee.createReadStream({
+      gte: "index:",
+      lt: "index;",
+    })) {
+      actual.add(key.toString("utf-8"));
+    }
+
+    const missing = [...expected].filter((key) => !actual.has(key));
+    const orphaned = [...actual].filter((key) => !expected.has(key));
+
+    return {
+      tickets,
+      indexes: actual.size,
+      missing,
+      orphaned,
+      healthy: missing.length === 0 && orphaned.length === 0,
+    };
+  }
+
+  async rebuildIndexes() {
+    const report = await this.verifyIndexes();
+    if (report.healthy) return report;
+
+    const batch = this.hbee.batch();
+
+    for (const key of report.missing) {
+      await batch.put(key, Buffer.from("1", "utf-8"));
+    }
+
+    for (const key of report.orphaned) {
+      await batch.del(key);
     }
+
+    await batch.flush();
+
+    return {
+      ...report,
+      repaired: report.missing.length,
+      dropped: report.orphaned.length,
+    };
   }
 }
@@ -0,0 +1,228 @@
+"use strict";
+
+import {
+  AbiCoder,
+  concat,
+  getAddress,
+  keccak256,
+  solidityPacked,
+  toUtf8Bytes,
+} from "ethers";
+import {
+  OPERATION_CALL,
+  OPERATION_DELEGATECALL,
+  ZERO_ADDRESS,
+  computeSafeTxHash,
+} from "./safe-tx.js";
+
+// Transaction Builder app file format this export targets
+export const TX_BUILDER_BATCH_VERSION = "1.0";
+export const TX_BUILDER_VERSION = "1.16.1";
+
+// MultiSendCallOnly v1.3.0, deployed at the same address on every chain
+export const MULTI_SEND_CALL_ONLY_ADDRESS =
+  "0x40A2aCCbd92BCA938b02010E17A5b8929b49130D";
+
+// multiSend(bytes)
+const MULTI_SEND_SELECTOR = "0x8d80ff0a";
+
+// transfer(address,uint256)
+const ERC20_TRANSFER_SELECTOR = "0xa9059cbb";
+
+const ERC20_TRANSFER_METHOD = {
+  inputs: [
+    { internalType: "address", name: "to", type: "address" },
+    { internalType: "uint256", name: "value", type: "uint256" },
+  ],
+  name: "transfer",
+  payable: false,
+};
+
+// Same serialization the Transaction Builder uses: keys sorted and listed
+// up front at every level, so the checksum doesn't depend on key order
+function serializeJSONObject(json) {
+  if (Array.isArray(json)) {
+    return `[${json.map((item) => serializeJSONObject(item)).join(",")}]`;
+  }
+
+  if (typeof json === "object" && json !== null) {
+    const keys = Object.keys(json).sort();
+    let serialized = `{${JSON.stringify(keys)}`;
+    for (const key of keys) {
+      serialized += `${serializeJSONObject(json[key])},`;
+    }
+    return `${serialized}}`;
+  }
+
+  return JSON.stringify(json);
+}
+
+// Checksum over the batch with the name blanked, as the Builder checks it
+export function calculateChecksum(batch) {
+  const meta = { ...batch.meta, name: null };
+  delete meta.checksum;
+
+  return keccak256(toUtf8Bytes(serializeJSONObject({ ...batch, meta })));
+}
+
+// Builder transaction for a ticket's Safe hint; token transfers keep their
+// decoded method so the Builder shows them as contract interactions
+function toBuilderTransaction(safeTx) {
+  const transaction = {
+    to: getAddress(safeTx.to),
+    value: safeTx.value,
+    data: safeTx.data,
+    contractMethod: null,
+    contractInputsValues: null,
+  };
+
+  if (safeTx.data.toLowerCase().startsWith(ERC20_TRANSFER_SELECTOR)) {
+    const [to, value] = AbiCoder.defaultAbiCoder().decode(
+      ["address", "uint256"],
+      `0x${safeTx.data.slice(10)}`
+    );
+    transaction.contractMethod = ERC20_TRANSFER_METHOD;
+    transaction.contractInputsValues = { to, value: value.toString() };
+  }
+
+  return transaction;
+}
+
+// Packs calls as MultiSend expects: operation, to, value, length, data
+export function encodeMultiSend(transactions) {
+  const packed = concat(
+    transactions.map((transaction) =>
+      solidityPacked(
+        ["uint8", "address", "uint256", "uint256", "bytes"],
+        [
+          transaction.operation ?? OPERATION_CALL,
+          transaction.to,
+          transaction.value,
+          (transaction.data.length - 2) / 2,
+          transaction.data,
+        ]
+      )
+    )
+  );
+
+  return concat([
+    MULTI_SEND_SELECTOR,
+    AbiCoder.defaultAbiCoder().encode(["bytes"], [packed]),
+  ]);
+}
+
+// One Safe transaction that runs every call through MultiSendCallOnly
+export function buildMultiSendTx(transactions, { nonce }) {
+  if (transactions.some((tx) => tx.operation === OPERATION_DELEGATECALL)) {
+    throw new Error("MultiSendCallOnly cannot bundle delegate calls");
+  }
+
+  return {
+    to: MULTI_SEND_CALL_ONLY_ADDRESS,
+    value: "0",
+    data: encodeMultiSend(transactions),
+    operation: OPERATION_DELEGATECALL,
+    safeTxGas: "0",
+    baseGas: "0",
+    gasPrice: "0",
+    gasToken: ZERO_ADDRESS,
+    refundReceiver: ZERO_ADDRESS,
+    nonce,
+  };
+}
+
+// Checks the tickets can go into one batch and returns them in nonce order
+export function orderBatchTickets(tickets) {
+  if (tickets.length === 0) {
+    throw new Error("At least one ticket is required");
+  }
+
+  for (const ticket of tickets) {
+    if (ticket.status !== "approved") {
+      throw new Error(`Ticket ${ticket.id} is ${ticket.status}, not approved`);
+    }
+    if (!ticket.safeTx) {
+      throw new Error(`Ticket ${ticket.id} has no Safe transaction`);
+    }
+  }
+
+  const [first] = tickets;
+  const sameSafe = tickets.every(
+    (ticket) =>
+      ticket.chainId === first.chainId &&
+      (ticket.safeAddress || "").toLowerCase() ===
+        (first.safeAddress || "").toLowerCase()
+  );
+  if (!sameSafe) {
+    throw new Error("All tickets in a batch must belong to the same Safe");
+  }
+
+  return [...tickets].sort(
+    (a, b) =>
+      (a.safeTx.nonce ?? Infinity) - (b.safeTx.nonce ?? Infinity) ||
+      a.id.localeCompare(b.id)
+  );
+}
+
+// Transaction Builder batch file for approved tickets of one Safe, plus an
+// optional MultiSend bundle; the same tickets always give the same output
+export function buildTransactionBatch(
+  tickets,
+  { safe, name, description, createdAt, bundle = false } = {}
+) {
+  const ordered = orderBatchTickets(tickets);
+  const safeAddress = safe?.address || ordered[0].safeAddress || null;
+  const chainId = safe?.chainId || ordered[0].chainId;
+
+  if (!chainId) {
+    throw new Error("Tickets have no chainId to export for");
+  }
+
+  const batch = {
+    version: TX_BUILDER_BATCH_VERSION,
+    chainId: String(chainId),
+    createdAt:
+      createdAt ??
+      Math.max(
+        ...ordered.map((ticket) => ticket.lastUpdated || ticket.createdAt || 0)
+      ),
+    meta: {
+      name: name || `Triage batch (${ordered.length} transactions)`,
+      description:
+        description ||
+        ordered.map((ticket) => `${ticket.id}: ${ticket.summary}`).join("\n"),
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: safeAddress ? getAddress(safeAddress) : "",
+      createdFromOwnerAddress: "",
+    },
+    transactions: ordered.map((ticket) => toBuilderTransaction(ticket.safeTx)),
+  };
+  batch.meta.checksum = calculateChecksum(batch);
+
+  const result = {
+    batch,
+    ticketIds: ordered.map((ticket) => ticket.id),
+    multiSend: null,
+  };
+
+  if (bundle) {
+    // The bundle replaces the individual transactions at the lowest nonce
+    const nonces = ordered
+      .map((ticket) => ticket.safeTx.nonce)
+      .filter((nonce) => Number.isInteger(nonce));
+    const safeTx = buildMultiSendTx(
+      ordered.map((ticket) => ticket.safeTx),
+      { nonce: nonces.length > 0 ? Math.min(...nonces) : null }
+    );
+
+    result.multiSend = {
+      safeTx,
+      safeTxHash:
+        safeAddress && safeTx.nonce !== null
+          ? computeSafeTxHash(safeTx, { chainId, safeAddress })
+          : null,
+    };
+  }
+
+  return result;
+}